@@ -1,5 +1,6 @@
-const { app, BrowserWindow, ipcMain, dialog, shell, net } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, net, Notification } = require('electron');
 const fs = require('fs/promises');
+const { watch } = require('fs');
 const path = require('path');
 
 const findOsuFiles = async (dirPath) => {
@@ -56,6 +57,10 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+	// Windows only shows notifications for apps with a user model ID
+	if (process.platform === 'win32') {
+		app.setAppUserModelId('mosu');
+	}
 	createWindow();
 
 	app.on('activate', () => {
@@ -75,6 +80,21 @@ ipcMain.handle('open-external-url', async (_event, url) => {
 	}
 });
 
+// Editor references look like "00:12:345" or "00:12:345 (1,2,3)"; osu! seeks its open editor to them
+const EDITOR_REFERENCE_PATTERN = /^\d{2,}:\d{2}:\d{3}( \([\d,|]+\))?$/;
+
+ipcMain.handle('open-in-osu-editor', async (_event, reference) => {
+	if (typeof reference !== 'string' || !EDITOR_REFERENCE_PATTERN.test(reference)) {
+		return { success: false, error: 'Invalid editor timestamp' };
+	}
+	try {
+		await shell.openExternal(`osu://edit/${encodeURI(reference)}`);
+		return { success: true };
+	} catch (error) {
+		return { success: false, error: error.message };
+	}
+});
+
 ipcMain.handle('check-for-updates', async () => {
 	try {
 		const response = await net.fetch('https://api.github.com/repos/fax1015/mosu/releases/latest', {
@@ -123,6 +143,329 @@ ipcMain.handle('stat-file', async (_event, filePath) => {
 	return { mtimeMs: stat.mtimeMs };
 });
 
+// Beatmap index (item cache, todo/done lists, highlights) lives in userData
+// instead of localStorage so it is not capped by the renderer storage quota.
+const INDEX_FILE_NAME = 'beatmap-index.json';
+
+const getIndexPath = () => path.join(app.getPath('userData'), INDEX_FILE_NAME);
+
+// Serialize writes so an older payload never lands after a newer one
+let indexWriteQueue = Promise.resolve();
+// Bumped by every save; a queued write that is no longer the latest is skipped
+let indexWriteSeq = 0;
+
+const getIndexBackupPath = (label) => {
+	const safeLabel = String(label || 'backup').replace(/[^a-z0-9_-]/gi, '');
+	return path.join(app.getPath('userData'), `beatmap-index.${safeLabel}-${Date.now()}.json`);
+};
+
+ipcMain.handle('load-beatmap-index', async () => {
+	const filePath = getIndexPath();
+	let raw;
+	try {
+		raw = await fs.readFile(filePath, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') return { payload: null };
+		return { payload: null, error: err.message || 'Failed to read beatmap index' };
+	}
+
+	try {
+		const payload = JSON.parse(raw);
+		latestIndexPayload = payload;
+		return { payload };
+	} catch (err) {
+		// Move the unreadable file aside so the next save can't overwrite it
+		const backupPath = getIndexBackupPath('corrupt');
+		try {
+			await fs.rename(filePath, backupPath);
+			return { payload: null, error: err.message || 'Invalid beatmap index', backupPath };
+		} catch {
+			return { payload: null, error: err.message || 'Invalid beatmap index' };
+		}
+	}
+});
+
+ipcMain.handle('backup-beatmap-index', async (_event, payload, label) => {
+	const backupPath = getIndexBackupPath(label);
+	try {
+		await fs.writeFile(backupPath, JSON.stringify(payload), 'utf8');
+		return { success: true, path: backupPath };
+	} catch (err) {
+		console.error('Failed to back up beatmap index:', err);
+		return { success: false, error: err.message || 'Failed to back up beatmap index' };
+	}
+});
+
+// Queue a write of the index. A write that is no longer the latest by the time its turn
+// comes is skipped, since a newer one is queued behind it.
+const queueIndexWrite = (payload) => {
+	const seq = ++indexWriteSeq;
+	const write = indexWriteQueue.then(async () => {
+		if (seq !== indexWriteSeq) return;
+		const filePath = getIndexPath();
+		const tempPath = `${filePath}.tmp`;
+		await fs.mkdir(path.dirname(filePath), { recursive: true });
+		await fs.writeFile(tempPath, JSON.stringify(payload), 'utf8');
+		if (seq !== indexWriteSeq) return;
+		await fs.rename(tempPath, filePath);
+	});
+	indexWriteQueue = write.catch(() => { });
+	latestIndexPayload = payload;
+	return write;
+};
+
+ipcMain.handle('save-beatmap-index', async (_event, payload) => {
+	const write = queueIndexWrite(payload);
+	scheduleDeadlineCheck();
+
+	try {
+		await write;
+		return { success: true };
+	} catch (err) {
+		console.error('Failed to save beatmap index:', err);
+		return { success: false, error: err.message || 'Failed to save beatmap index' };
+	}
+});
+
+// Used while the window unloads, when an async reply would never arrive. The renderer stays
+// blocked until returnValue is set, so the write can wait its turn behind one already in
+// flight instead of racing it; queued older writes are skipped.
+ipcMain.on('save-beatmap-index-sync', (event, payload) => {
+	queueIndexWrite(payload).then(
+		() => { event.returnValue = { success: true }; },
+		(err) => {
+			console.error('Failed to save beatmap index:', err);
+			event.returnValue = { success: false, error: err.message || 'Failed to save beatmap index' };
+		}
+	);
+});
+
+// Deadline notifications. The renderer sends its settings; deadlines come from the
+// saved beatmap index, so reminders keep working while the Todo tab is not open.
+const DEADLINE_STATE_FILE_NAME = 'deadline-notifications.json';
+const DEADLINE_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const DEADLINE_CHECK_DELAY_MS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SNOOZE_MS = DAY_MS;
+
+let latestIndexPayload = null;
+let deadlineOptions = { enabled: false, leadDays: [] };
+// sent: reminders already shown, keyed by item, deadline and kind. snoozed: itemId -> time
+let deadlineState = null;
+let deadlineInterval = null;
+let deadlineCheckTimer = null;
+// Keep shown notifications referenced so their click handlers survive garbage collection
+const activeNotifications = new Set();
+
+const getDeadlineStatePath = () => path.join(app.getPath('userData'), DEADLINE_STATE_FILE_NAME);
+
+const loadDeadlineState = async () => {
+	if (deadlineState) return deadlineState;
+	try {
+		const parsed = JSON.parse(await fs.readFile(getDeadlineStatePath(), 'utf8'));
+		deadlineState = { sent: parsed.sent || {}, snoozed: parsed.snoozed || {} };
+	} catch {
+		deadlineState = { sent: {}, snoozed: {} };
+	}
+	return deadlineState;
+};
+
+const saveDeadlineState = async () => {
+	try {
+		await fs.writeFile(getDeadlineStatePath(), JSON.stringify(deadlineState), 'utf8');
+	} catch (err) {
+		console.error('Failed to save deadline notification state:', err);
+	}
+};
+
+const startOfDay = (timeMs) => {
+	const date = new Date(timeMs);
+	date.setHours(0, 0, 0, 0);
+	return date.getTime();
+};
+
+// Which reminder is due for a deadline right now: 'overdue', 'lead-<days>' for the
+// closest lead time that has been reached, or null when it is still too far away
+const getDueReminder = (deadline, now, leadDays) => {
+	if (now > deadline) {
+		return { kind: 'overdue', title: 'Deadline passed' };
+	}
+	const daysLeft = Math.round((startOfDay(deadline) - startOfDay(now)) / DAY_MS);
+	const lead = [...leadDays].sort((a, b) => a - b).find(days => daysLeft <= days);
+	if (lead === undefined) {
+		return null;
+	}
+	let title = `Due in ${daysLeft} days`;
+	if (daysLeft === 0) title = 'Due today';
+	else if (daysLeft === 1) title = 'Due tomorrow';
+	return { kind: `lead-${lead}`, title };
+};
+
+const focusMainWindow = () => {
+	const win = BrowserWindow.getAllWindows()[0];
+	if (!win) return null;
+	if (win.isMinimized()) win.restore();
+	win.show();
+	win.focus();
+	return win;
+};
+
+const snoozeDeadline = async (itemId, durationMs = DEFAULT_SNOOZE_MS) => {
+	const state = await loadDeadlineState();
+	state.snoozed[itemId] = Date.now() + durationMs;
+	// Forget what was shown so the current reminder comes back once the snooze ends
+	Object.keys(state.sent).forEach((key) => {
+		if (key.startsWith(`${itemId}|`)) delete state.sent[key];
+	});
+	await saveDeadlineState();
+};
+
+const showDeadlineNotification = (item, reminder) => {
+	const label = `${item.artist || 'Unknown Artist'} - ${item.title || 'Unknown Title'} [${item.version || 'Unknown Version'}]`;
+	const notification = new Notification({
+		title: reminder.title,
+		body: label,
+		// Action buttons are only shown on macOS; elsewhere clicking opens the in-app reminder
+		actions: [{ type: 'button', text: 'Snooze for a day' }],
+	});
+	activeNotifications.add(notification);
+
+	notification.on('action', () => {
+		snoozeDeadline(item.id);
+	});
+	notification.on('click', () => {
+		const win = focusMainWindow();
+		win?.webContents.send('deadline-notification-clicked', { itemId: item.id, title: reminder.title });
+	});
+	notification.on('close', () => activeNotifications.delete(notification));
+	notification.show();
+};
+
+const checkDeadlines = async () => {
+	if (!deadlineOptions.enabled || !Notification.isSupported()) return;
+
+	let payload = latestIndexPayload;
+	if (!payload) {
+		try {
+			payload = JSON.parse(await fs.readFile(getIndexPath(), 'utf8'));
+			latestIndexPayload = payload;
+		} catch {
+			return;
+		}
+	}
+
+	const state = await loadDeadlineState();
+	const now = Date.now();
+	const doneIds = new Set(payload.doneIds || []);
+	const itemsById = new Map((payload.items || []).map(item => [item.id, item]));
+	let changed = false;
+
+	// Drop reminders of maps that were unpinned or finished
+	const openIds = new Set((payload.todoIds || []).filter(id => !doneIds.has(id)));
+	Object.keys(state.sent).forEach((key) => {
+		if (!openIds.has(key.slice(0, key.lastIndexOf('|', key.lastIndexOf('|') - 1)))) {
+			delete state.sent[key];
+			changed = true;
+		}
+	});
+
+	Object.entries(state.snoozed).forEach(([itemId, until]) => {
+		if (until <= now) {
+			delete state.snoozed[itemId];
+			changed = true;
+		}
+	});
+
+	(payload.todoIds || []).forEach((itemId) => {
+		const item = itemsById.get(itemId);
+		if (!item || typeof item.deadline !== 'number' || doneIds.has(itemId) || state.snoozed[itemId]) return;
+
+		const reminder = getDueReminder(item.deadline, now, deadlineOptions.leadDays);
+		if (!reminder) return;
+
+		const key = `${itemId}|${item.deadline}|${reminder.kind}`;
+		if (state.sent[key]) return;
+
+		state.sent[key] = now;
+		changed = true;
+		showDeadlineNotification(item, reminder);
+	});
+
+	if (changed) {
+		await saveDeadlineState();
+	}
+};
+
+// Batch the checks triggered by index saves (deadline edits, scans)
+const scheduleDeadlineCheck = () => {
+	clearTimeout(deadlineCheckTimer);
+	deadlineCheckTimer = setTimeout(() => {
+		checkDeadlines().catch(err => console.error('Deadline check failed:', err));
+	}, DEADLINE_CHECK_DELAY_MS);
+};
+
+ipcMain.handle('set-deadline-notifications', (_event, options = {}) => {
+	deadlineOptions = {
+		enabled: !!options.enabled,
+		leadDays: (Array.isArray(options.leadDays) ? options.leadDays : [])
+			.map(Number)
+			.filter(days => Number.isInteger(days) && days >= 0),
+	};
+
+	clearInterval(deadlineInterval);
+	deadlineInterval = null;
+	if (deadlineOptions.enabled) {
+		deadlineInterval = setInterval(() => {
+			checkDeadlines().catch(err => console.error('Deadline check failed:', err));
+		}, DEADLINE_CHECK_INTERVAL_MS);
+		scheduleDeadlineCheck();
+	}
+	return true;
+});
+
+ipcMain.handle('snooze-deadline', (_event, itemId, durationMs) => snoozeDeadline(itemId, durationMs || DEFAULT_SNOOZE_MS));
+
+ipcMain.handle('export-backup', async (_event, backup) => {
+	const date = new Date().toISOString().slice(0, 10);
+	const result = await dialog.showSaveDialog({
+		title: 'Export mosu! backup',
+		defaultPath: `mosu-backup-${date}.mosu.json`,
+		filters: [{ name: 'mosu! backup', extensions: ['json'] }],
+	});
+
+	if (result.canceled || !result.filePath) {
+		return null;
+	}
+
+	const filePath = result.filePath.toLowerCase().endsWith('.json') ? result.filePath : `${result.filePath}.mosu.json`;
+	try {
+		await fs.writeFile(filePath, JSON.stringify(backup, null, 2), 'utf8');
+		return { success: true, filePath };
+	} catch (err) {
+		return { success: false, error: err.message || 'Failed to write backup' };
+	}
+});
+
+ipcMain.handle('import-backup', async () => {
+	const result = await dialog.showOpenDialog({
+		title: 'Import mosu! backup',
+		properties: ['openFile'],
+		filters: [{ name: 'mosu! backup', extensions: ['json'] }],
+	});
+
+	if (result.canceled || !result.filePaths.length) {
+		return null;
+	}
+
+	const filePath = result.filePaths[0];
+	try {
+		const raw = await fs.readFile(filePath, 'utf8');
+		return { backup: JSON.parse(raw), filePath };
+	} catch (err) {
+		return { error: err.message || 'Failed to read backup', filePath };
+	}
+});
+
 ipcMain.handle('show-item-in-folder', async (_event, filePath) => {
 	if (!filePath) return;
 	shell.showItemInFolder(filePath);
@@ -139,17 +482,19 @@ ipcMain.handle('open-osu-file', async () => {
 		return null;
 	}
 
-	const files = await Promise.all(
-		result.filePaths.map(async (filePath) => {
-			const content = await fs.readFile(filePath, 'utf8');
-			const stat = await fs.stat(filePath);
-			return { filePath, content, stat: { mtimeMs: stat.mtimeMs } };
-		}),
-	);
-
+	const files = await runScannerWorkers(result.filePaths, null, {});
 	return { files };
 });
 
+// Parse specific files with the scanner worker (stale cache entries, single imports, audio
+// re-analysis and the timeline inspector, which passes { editorObjects: true })
+ipcMain.handle('parse-osu-files', async (_event, filePaths, options = {}) => {
+	if (!Array.isArray(filePaths) || !filePaths.length) {
+		return [];
+	}
+	return runScannerWorkers(filePaths, null, {}, { editorObjects: !!options?.editorObjects });
+});
+
 const { Worker } = require('worker_threads');
 const os = require('os');
 
@@ -158,7 +503,7 @@ const os = require('os');
  * The optimized worker sends multiple messages: 'progress' and 'complete'
  * We must only resolve when we receive the 'complete' message with actual results
  */
-const runScannerWorkers = (filePaths, mapperName, knownFiles) => {
+const runScannerWorkers = (filePaths, mapperName, knownFiles, options = {}) => {
 	const numWorkers = Math.min(os.cpus().length, 4, filePaths.length);
 	if (numWorkers === 0) return Promise.resolve([]);
 
@@ -171,7 +516,7 @@ const runScannerWorkers = (filePaths, mapperName, knownFiles) => {
 
 		promises.push(new Promise((resolve, reject) => {
 			const worker = new Worker(path.join(__dirname, 'scanner-worker.js'), {
-				workerData: { filePaths: chunk, mapperName, knownFiles }
+				workerData: { filePaths: chunk, mapperName, knownFiles, options }
 			});
 
 			// CRITICAL FIX: Check message type before resolving
@@ -215,6 +560,121 @@ ipcMain.handle('scan-directory-osu-files', async (_event, dirPath, mapperName, k
 	return { files: matchingFiles, directory: dirPath };
 });
 
+// The osu! editor writes a difficulty several times per save, so changes are
+// collected and flushed once the folder has been quiet for a moment.
+const WATCH_DEBOUNCE_MS = 1500;
+
+let songsWatcher = null;
+
+const stopSongsWatcher = () => {
+	if (!songsWatcher) return;
+	clearTimeout(songsWatcher.timer);
+	songsWatcher.watcher.close();
+	songsWatcher = null;
+};
+
+/**
+ * Turn the queued relative paths into add/update/remove events.
+ * Only changed .osu files go through the scanner worker; files whose mtime
+ * matches what we already reported come back as `unchanged` and are dropped.
+ */
+const flushSongsWatcher = async (state) => {
+	const pending = [...state.pending];
+	state.pending.clear();
+
+	const changedPaths = new Set();
+	const removedPaths = [];
+
+	for (const relativePath of pending) {
+		const fullPath = path.join(state.dirPath, relativePath);
+		let stat = null;
+		try {
+			stat = await fs.stat(fullPath);
+		} catch {
+			stat = null;
+		}
+
+		if (!stat) {
+			// A deleted file or a whole deleted set folder
+			const prefix = fullPath + path.sep;
+			for (const knownPath of Object.keys(state.knownFiles)) {
+				if (knownPath === fullPath || knownPath.startsWith(prefix)) {
+					removedPaths.push(knownPath);
+					delete state.knownFiles[knownPath];
+				}
+			}
+		} else if (stat.isDirectory()) {
+			const osuPaths = await findOsuFiles(fullPath);
+			osuPaths.forEach((osuPath) => changedPaths.add(osuPath));
+		} else if (path.extname(fullPath).toLowerCase() === '.osu') {
+			changedPaths.add(fullPath);
+		}
+	}
+
+	const files = changedPaths.size
+		? await runScannerWorkers([...changedPaths], state.mapperName, state.knownFiles)
+		: [];
+
+	const events = [];
+	files.forEach((file) => {
+		if (file.unchanged) return;
+		const type = Object.prototype.hasOwnProperty.call(state.knownFiles, file.filePath) ? 'update' : 'add';
+		state.knownFiles[file.filePath] = file.stat.mtimeMs;
+		events.push({ type, file });
+	});
+	removedPaths.forEach((filePath) => events.push({ type: 'remove', filePath }));
+
+	if (events.length && songsWatcher === state && !state.sender.isDestroyed()) {
+		state.sender.send('songs-dir-changed', events);
+	}
+};
+
+ipcMain.handle('watch-songs-dir', async (event, dirPath, mapperName, knownFiles = {}) => {
+	stopSongsWatcher();
+	if (!dirPath || typeof dirPath !== 'string') {
+		return false;
+	}
+
+	const state = {
+		dirPath,
+		mapperName: mapperName || null,
+		knownFiles: { ...knownFiles },
+		sender: event.sender,
+		pending: new Set(),
+		timer: null,
+		flushing: Promise.resolve(),
+		watcher: null,
+	};
+
+	try {
+		state.watcher = watch(dirPath, { recursive: true }, (_eventType, filename) => {
+			if (!filename) return;
+			state.pending.add(filename.toString());
+			clearTimeout(state.timer);
+			state.timer = setTimeout(() => {
+				state.flushing = state.flushing
+					.then(() => flushSongsWatcher(state))
+					.catch((err) => console.error('Songs folder watcher flush failed:', err));
+			}, WATCH_DEBOUNCE_MS);
+		});
+	} catch (err) {
+		console.error('Failed to watch songs folder:', err);
+		return false;
+	}
+
+	state.watcher.on('error', (err) => {
+		console.error('Songs folder watcher error:', err);
+		if (songsWatcher === state) stopSongsWatcher();
+	});
+
+	songsWatcher = state;
+	return true;
+});
+
+ipcMain.handle('unwatch-songs-dir', () => {
+	stopSongsWatcher();
+});
+
 ipcMain.handle('open-mapper-osu-files', async (_event, mapperName) => {
 	if (!mapperName || typeof mapperName !== 'string') {
 		return null;
@@ -300,6 +760,9 @@ ipcMain.handle('embed-sync', async (_event, url, apiKey, data) => {
 });
 
 app.on('window-all-closed', () => {
+	stopSongsWatcher();
+	clearInterval(deadlineInterval);
+	clearTimeout(deadlineCheckTimer);
 	if (process.platform !== 'darwin') {
 		app.quit();
 	}
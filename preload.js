@@ -14,11 +14,25 @@ contextBridge.exposeInMainWorld('beatmapApi', {
 	readImage: (filePath) => ipcRenderer.invoke('read-image-file', filePath),
 	readBinary: (filePath) => ipcRenderer.invoke('read-binary-file', filePath),
 	readOsuFile: (filePath) => ipcRenderer.invoke('read-osu-file', filePath),
+	parseOsuFiles: (filePaths, options) => ipcRenderer.invoke('parse-osu-files', filePaths, options),
 	statFile: (filePath) => ipcRenderer.invoke('stat-file', filePath),
 	scanDirectoryOsuFiles: (dirPath, mapperName, knownFiles) => ipcRenderer.invoke('scan-directory-osu-files', dirPath, mapperName, knownFiles),
 	listDirectoryOsuFiles: (dirPath, mapperName) => ipcRenderer.invoke('list-directory-osu-files', dirPath, mapperName),
 	selectDirectory: () => ipcRenderer.invoke('select-directory'),
+	watchSongsDir: (dirPath, mapperName, knownFiles) => ipcRenderer.invoke('watch-songs-dir', dirPath, mapperName, knownFiles),
+	unwatchSongsDir: () => ipcRenderer.invoke('unwatch-songs-dir'),
+	onSongsDirChange: (callback) => ipcRenderer.on('songs-dir-changed', (_event, events) => callback(events)),
 	showItemInFolder: (filePath) => ipcRenderer.invoke('show-item-in-folder', filePath),
+	loadIndex: () => ipcRenderer.invoke('load-beatmap-index'),
+	saveIndex: (payload) => ipcRenderer.invoke('save-beatmap-index', payload),
+	saveIndexSync: (payload) => ipcRenderer.sendSync('save-beatmap-index-sync', payload),
+	backupIndex: (payload, label) => ipcRenderer.invoke('backup-beatmap-index', payload, label),
+	exportBackup: (backup) => ipcRenderer.invoke('export-backup', backup),
+	importBackup: () => ipcRenderer.invoke('import-backup'),
+	setDeadlineNotifications: (options) => ipcRenderer.invoke('set-deadline-notifications', options),
+	snoozeDeadline: (itemId, durationMs) => ipcRenderer.invoke('snooze-deadline', itemId, durationMs),
+	onDeadlineNotificationClick: (callback) => ipcRenderer.on('deadline-notification-clicked', (_event, reminder) => callback(reminder)),
+	openInOsuEditor: (reference) => ipcRenderer.invoke('open-in-osu-editor', reference),
 });
 
 // Allow renderer to notify main about analysis state changes
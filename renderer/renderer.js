@@ -1,6 +1,7 @@
+// Legacy localStorage key for the beatmap index; only read once to migrate it into the main-process store
 const STORAGE_KEY = 'beatmapItemsV1';
 const SETTINGS_STORAGE_KEY = 'mapTrackerSettingsV1';
-const STORAGE_VERSION = 1;
+const STORAGE_VERSION = 2;
 
 let beatmapItems = [];
 let todoIds = [];
@@ -8,6 +9,10 @@ let doneIds = [];
 let viewMode = 'all';
 let sortState = { mode: 'dateAdded', direction: 'desc' };
 let searchQuery = '';
+let modeFilter = 'all';
+// Set cards expanded in the All tab, and the difficulties currently shown under one
+let expandedSetKeys = new Set();
+let setChildIds = new Set();
 
 // Auto-scroll state for dragging
 let autoScrollTimer = null;
@@ -92,8 +97,9 @@ const GlobalDatePicker = {
         }
     },
 
-    render() {
-        this.popover.innerHTML = '';
+    // Month header with prev/next buttons; onNavigate receives -1 or 1.
+    // Shared with the Calendar tab.
+    buildMonthHeader(viewDate, onNavigate) {
         const header = document.createElement('div');
         header.classList.add('date-picker-calendar-header');
 
@@ -103,8 +109,7 @@ const GlobalDatePicker = {
         prevBtn.innerHTML = '<svg viewBox="0 0 320 512"><path d="M41.4 233.4c-12.5 12.5-12.5 32.8 0 45.3l160 160c12.5 12.5 32.8 12.5 45.3 0s12.5-32.8 0-45.3L109.3 256 246.6 118.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0l-160 160z"/></svg>';
         prevBtn.onclick = (e) => {
             e.stopPropagation();
-            this.viewDate.setMonth(this.viewDate.getMonth() - 1);
-            this.render();
+            onNavigate(-1);
         };
 
         const nextBtn = document.createElement('button');
@@ -113,19 +118,22 @@ const GlobalDatePicker = {
         nextBtn.innerHTML = '<svg viewBox="0 0 320 512"><path d="M278.6 233.4c12.5 12.5 12.5 32.8 0 45.3l-160 160c-12.5 12.5-32.8 12.5-45.3 0s-12.5-32.8 0-45.3L210.7 256 73.4 118.6c-12.5-12.5-12.5-32.8 0-45.3s32.8-12.5 45.3 0l160 160z"/></svg>';
         nextBtn.onclick = (e) => {
             e.stopPropagation();
-            this.viewDate.setMonth(this.viewDate.getMonth() + 1);
-            this.render();
+            onNavigate(1);
         };
 
         const monthYear = document.createElement('div');
         monthYear.classList.add('calendar-month-year');
-        monthYear.textContent = this.viewDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        monthYear.textContent = viewDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
 
         header.appendChild(prevBtn);
         header.appendChild(monthYear);
         header.appendChild(nextBtn);
-        this.popover.appendChild(header);
+        return header;
+    },
 
+    // Weekday row plus one .calendar-day per date of the month; decorateDay(el, date)
+    // adds the caller's classes and handlers. Shared with the Calendar tab.
+    buildMonthGrid(viewDate, decorateDay) {
         const grid = document.createElement('div');
         grid.classList.add('date-picker-grid');
 
@@ -136,8 +144,8 @@ const GlobalDatePicker = {
             grid.appendChild(el);
         });
 
-        const firstDay = new Date(this.viewDate.getFullYear(), this.viewDate.getMonth(), 1).getDay();
-        const lastDate = new Date(this.viewDate.getFullYear(), this.viewDate.getMonth() + 1, 0).getDate();
+        const firstDay = new Date(viewDate.getFullYear(), viewDate.getMonth(), 1).getDay();
+        const lastDate = new Date(viewDate.getFullYear(), viewDate.getMonth() + 1, 0).getDate();
 
         for (let i = 0; i < firstDay; i++) {
             const el = document.createElement('div');
@@ -147,15 +155,30 @@ const GlobalDatePicker = {
 
         const today = new Date();
         today.setHours(0, 0, 0, 0);
-        const selectedDate = this.currentValue ? new Date(this.currentValue) : null;
-        if (selectedDate) selectedDate.setHours(0, 0, 0, 0);
 
         for (let i = 1; i <= lastDate; i++) {
             const el = document.createElement('div');
             el.classList.add('calendar-day');
             el.textContent = i;
-            const d = new Date(this.viewDate.getFullYear(), this.viewDate.getMonth(), i);
+            const d = new Date(viewDate.getFullYear(), viewDate.getMonth(), i);
             if (d.getTime() === today.getTime()) el.classList.add('is-today');
+            decorateDay(el, d);
+            grid.appendChild(el);
+        }
+        return grid;
+    },
+
+    render() {
+        this.popover.innerHTML = '';
+        this.popover.appendChild(this.buildMonthHeader(this.viewDate, (delta) => {
+            this.viewDate.setMonth(this.viewDate.getMonth() + delta);
+            this.render();
+        }));
+
+        const selectedDate = this.currentValue ? new Date(this.currentValue) : null;
+        if (selectedDate) selectedDate.setHours(0, 0, 0, 0);
+
+        const grid = this.buildMonthGrid(this.viewDate, (el, d) => {
             if (selectedDate && d.getTime() === selectedDate.getTime()) el.classList.add('is-selected');
 
             el.onclick = (e) => {
@@ -164,8 +187,7 @@ const GlobalDatePicker = {
                 this.onChange(d.getTime());
                 this.close();
             };
-            grid.appendChild(el);
-        }
+        });
         this.popover.appendChild(grid);
 
         const footer = document.createElement('div');
@@ -208,7 +230,21 @@ let settings = {
     autoRescanMapper: false,
     rescanMapperName: '',
     songsDir: null,
+    // Live-update the list when .osu files in songsDir change
+    watchSongsDir: true,
+    groupSets: true,
+    // Native reminders for pinned maps, this many days before their deadline and once it passes
+    deadlineNotifications: true,
+    deadlineLeadDays: [3, 1],
+    // Saved search + mode + sort combinations shown as extra tabs: { id, name, query, mode, sort }
+    smartLists: [],
+    // Colour picked for each user tag, keyed by lowercased name
+    labelColors: {},
     ignoreStartAndBreaks: false,
+    // 'coverage' counts time covered by objects, 'sections' counts mapped kiai/bookmark sections
+    progressModel: 'coverage',
+    // Objects further apart than this many beats split a mapped span in the sections model
+    sectionGapBeats: 4,
     ignoreGuestDifficulties: false,
     volume: 0.5,
     listItemHeight: 240,
@@ -267,7 +303,106 @@ const parseHighlights = (raw) => {
         .filter((range) => range && range.end > range.start);
 };
 
-const renderTimeline = (timeline, ranges) => {
+// Objects per second at which a mapped span is drawn at full strength
+const DENSITY_FULL_OBJECTS_PER_SEC = 8;
+
+// Mapped spans are shaded by the density profile so thin sections stand out
+const getDensityAlpha = (objectsPerSec) => 0.35 + 0.65 * Math.min(1, objectsPerSec / DENSITY_FULL_OBJECTS_PER_SEC);
+
+const drawWaveform = (ctx, waveform, width, height) => {
+    const barWidth = width / waveform.length;
+    const mid = height / 2;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.14)';
+    waveform.forEach((peak, i) => {
+        const barHeight = Math.max(1, (peak / 100) * height);
+        ctx.fillRect(i * barWidth, mid - barHeight / 2, Math.max(1, barWidth - 0.5), barHeight);
+    });
+};
+
+const drawObjectRange = (ctx, range, densityProfile, width, height) => {
+    const x = range.start * width;
+    const w = Math.max(1, (range.end - range.start) * width);
+
+    if (!densityProfile?.length) {
+        ctx.fillStyle = 'rgb(63, 155, 106)';
+        ctx.fillRect(x, 0, w, height);
+        return;
+    }
+
+    // Fill the span one density bucket at a time
+    const bucketCount = densityProfile.length;
+    const firstBucket = Math.min(bucketCount - 1, Math.floor(range.start * bucketCount));
+    const lastBucket = Math.min(bucketCount - 1, Math.floor(range.end * bucketCount));
+    for (let i = firstBucket; i <= lastBucket; i++) {
+        const from = Math.max(x, (i / bucketCount) * width);
+        const to = Math.min(x + w, ((i + 1) / bucketCount) * width);
+        if (to <= from) continue;
+        ctx.fillStyle = `rgba(63, 155, 106, ${getDensityAlpha(densityProfile[i]).toFixed(2)})`;
+        ctx.fillRect(from, 0, to - from, height);
+    }
+};
+
+const KIAI_COLOR = 'rgb(239, 138, 60)';
+const RED_LINE_COLOR = 'rgb(255, 107, 107)';
+
+// Kiai as a tinted band with a solid strip along the bottom edge
+const drawKiaiSections = (ctx, kiaiSections, durationMs, width, height) => {
+    kiaiSections.forEach(({ start, end }) => {
+        const x = (start / durationMs) * width;
+        const w = (((end ?? durationMs) - start) / durationMs) * width;
+        ctx.fillStyle = 'rgba(239, 138, 60, 0.22)';
+        ctx.fillRect(x, 0, w, height);
+        ctx.fillStyle = KIAI_COLOR;
+        ctx.fillRect(x, height - Math.min(3, height / 3), w, Math.min(3, height / 3));
+    });
+};
+
+// Red lines as small triangles hanging from the top edge, so they don't read as unsnap ticks
+const drawRedLineMarkers = (ctx, redLines, durationMs, width, height) => {
+    const size = Math.min(6, height / 2);
+    let lastX = -Infinity;
+    ctx.fillStyle = RED_LINE_COLOR;
+    redLines.forEach(({ time }) => {
+        const x = (time / durationMs) * width;
+        // Dense BPM changes would merge into a bar, so keep one marker per few pixels
+        if (x - lastX < 3) return;
+        lastX = x;
+        ctx.beginPath();
+        ctx.moveTo(x - size / 2, 0);
+        ctx.lineTo(x + size / 2, 0);
+        ctx.lineTo(x, size);
+        ctx.closePath();
+        ctx.fill();
+    });
+};
+
+const TIMELINE_LEGEND = [
+    { label: 'Mapped', color: 'rgb(63, 155, 106)' },
+    { label: 'Break', color: 'rgba(73, 159, 113, 0.6)' },
+    { label: 'Bookmark', color: 'rgba(67, 145, 255, 0.8)' },
+    { label: 'Kiai', color: KIAI_COLOR },
+    { label: 'Red line', color: RED_LINE_COLOR, shape: 'triangle' },
+    { label: 'Unsnapped', color: 'rgb(214, 64, 64)', shape: 'tick' },
+];
+
+const buildTimelineLegend = () => {
+    const legend = document.createElement('div');
+    legend.classList.add('timeline-legend');
+    TIMELINE_LEGEND.forEach(({ label, color, shape }) => {
+        const entry = document.createElement('span');
+        entry.classList.add('timeline-legend-entry');
+        const swatch = document.createElement('span');
+        swatch.classList.add('timeline-legend-swatch');
+        if (shape) swatch.classList.add(`timeline-legend-swatch--${shape}`);
+        swatch.style.setProperty('--swatch-color', color);
+        entry.appendChild(swatch);
+        entry.appendChild(document.createTextNode(label));
+        legend.appendChild(entry);
+    });
+    return legend;
+};
+
+const renderTimeline = (timeline, ranges, { waveform = null, densityProfile = null, kiaiSections = null, redLines = null, durationMs = null } = {}) => {
     if (!(timeline instanceof HTMLCanvasElement)) return;
 
     const ctx = timeline.getContext('2d');
@@ -285,29 +420,39 @@ const renderTimeline = (timeline, ranges) => {
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     ctx.clearRect(0, 0, width, height);
 
-    // Sort to draw bookmarks on top
-    const sorted = [...ranges].sort((a, b) => {
-        if (a.type === b.type) return 0;
-        if (a.type === 'bookmark') return 1;
-        if (b.type === 'bookmark') return -1;
-        return 0;
-    });
+    if (waveform?.length) {
+        drawWaveform(ctx, waveform, width, height);
+    }
+
+    // Sort to draw bookmarks, then unsnapped ticks on top
+    const drawOrder = { bookmark: 1, unsnap: 2 };
+    const sorted = [...ranges].sort((a, b) => (drawOrder[a.type] || 0) - (drawOrder[b.type] || 0));
 
     sorted.forEach((range) => {
         const x = range.start * width;
         const w = (range.end - range.start) * width;
 
-        if (range.type === 'break') {
+        if (range.type === 'unsnap') {
+            ctx.fillStyle = 'rgb(214, 64, 64)';
+            ctx.fillRect(Math.round(x) - 1, 0, 2, height);
+        } else if (range.type === 'break') {
             ctx.fillStyle = 'rgba(73, 159, 113, 0.6)';
             ctx.fillRect(x, 0, w, height);
         } else if (range.type === 'bookmark') {
             ctx.fillStyle = 'rgba(67, 145, 255, 0.8)';
             ctx.fillRect(x, 0, Math.max(2, w), height);
         } else {
-            ctx.fillStyle = 'rgb(63, 155, 106)';
-            ctx.fillRect(x, 0, w, height);
+            drawObjectRange(ctx, range, densityProfile, width, height);
         }
     });
+
+    // Song structure on top; times are in ms, so only once the real length is known
+    if (durationMs && kiaiSections?.length) {
+        drawKiaiSections(ctx, kiaiSections, durationMs, width, height);
+    }
+    if (durationMs && redLines?.length) {
+        drawRedLineMarkers(ctx, redLines, durationMs, width, height);
+    }
 };
 
 
@@ -337,19 +482,33 @@ const animateRemoveElement = (element) => {
 let VIRTUAL_ITEM_HEIGHT = 252; // 240px + 12px gap
 let itemsToRender = [];
 
+const applyListItemHeight = (height) => {
+    VIRTUAL_ITEM_HEIGHT = height + 12; // Height + 12px gap
+    document.documentElement.style.setProperty('--list-item-height', `${height}px`);
+    document.documentElement.style.setProperty('--title-lines', height > 160 ? 4 : 2);
+};
+
 const applyTimelineToBox = (box, index) => {
     const timeline = box.querySelector('.list-timeline');
     if (!timeline) return;
 
     const itemId = box.dataset.itemId;
-    const isDone = doneIds.includes(itemId);
+    const entry = itemsToRender[index];
+    const isDone = isSetEntry(entry) ? entry.isDone : doneIds.includes(itemId);
     let ranges = [];
+    // Song structure is shown for done maps too
+    let profiles = {
+        kiaiSections: entry?.kiaiSections,
+        redLines: entry?.redLines,
+        durationMs: entry?.durationMs,
+    };
 
     if (isDone) {
         ranges = [{ start: 0, end: 1, type: 'object' }];
     } else {
         const item = itemsToRender[index];
         ranges = item?.highlights || [];
+        profiles = { ...profiles, waveform: item?.waveform, densityProfile: item?.densityProfile };
 
         const hasProgress = Number(item?.progress) > 0;
         if (!ranges.length && hasProgress) {
@@ -360,7 +519,7 @@ const applyTimelineToBox = (box, index) => {
         }
     }
 
-    renderTimeline(timeline, ranges);
+    renderTimeline(timeline, ranges, profiles);
 };
 
 
@@ -454,6 +613,15 @@ const isGuestDifficultyItem = (item) => {
     return version.includes("'s") || version.includes("s'");
 };
 
+// A difficulty named after someone other than the set's creator, whether or not guest
+// difficulties are hidden; this is what is:guest searches for
+const isGuestDifficultyName = (item) => {
+    const creator = String(item.creator || '').trim().toLowerCase();
+    const version = String(item.version || '').toLowerCase();
+    if (!creator || version.includes(creator + "'s") || version.includes(creator + "s'")) return false;
+    return version.includes("'s") || version.includes("s'");
+};
+
 const parseAudioFilename = (content) => {
     let inGeneral = false;
     const lines = content.split(/\r?\n/);
@@ -519,210 +687,58 @@ const parseBackgroundFilename = (content) => {
     return '';
 };
 
-const parseBreakPeriods = (content) => {
-    let inEvents = false;
-    const breaks = [];
-    const lines = content.split(/\r?\n/);
-
-    for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed) {
-            continue;
-        }
-
-        if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-            inEvents = trimmed === '[Events]';
-            continue;
-        }
-
-        if (!inEvents || trimmed.startsWith('//')) {
-            continue;
-        }
-
-        const parts = trimmed.split(',').map((part) => part.trim());
-        if (parts.length < 3) {
-            continue;
-        }
-
-        const typeToken = parts[0];
-        if (typeToken !== '2' && typeToken.toLowerCase() !== 'break') {
-            continue;
-        }
-
-        const startTime = Number.parseInt(parts[1], 10);
-        const endTime = Number.parseInt(parts[2], 10);
-        if (Number.isFinite(startTime) && Number.isFinite(endTime) && endTime > startTime) {
-            breaks.push({ start: startTime, end: endTime });
-        }
-    }
-
-    return breaks;
-};
-
-const parseHitObjects = (content) => {
-    let inHitObjects = false;
-    let sliderMultiplier = 1.0;
-    const timingPoints = [];
-    const hitStarts = [];
-    const hitEnds = [];
-    const hitTypes = [];
-
-    const lines = content.split(/\r?\n/);
-
-    const getTiming = (time) => {
-        let activeBPM = 60000 / 120;
-        let activeSV = 1.0;
-        for (const tp of timingPoints) {
-            if (tp.time > time) break;
-            if (tp.uninherited) {
-                activeBPM = tp.beatLength;
-                activeSV = 1.0;
-            } else if (tp.beatLength < 0) {
-                activeSV = -100 / tp.beatLength;
-            }
-        }
-        return { beatLength: activeBPM, sv: activeSV };
-    };
-
-    let section = '';
-    for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed || trimmed.startsWith('//')) continue;
-
-        if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-            section = trimmed.slice(1, -1).toLowerCase();
-            inHitObjects = section === 'hitobjects';
-            continue;
-        }
-
-        if (section === 'difficulty') {
-            const sep = trimmed.indexOf(':');
-            if (sep !== -1) {
-                const key = trimmed.slice(0, sep).trim().toLowerCase();
-                if (key === 'slidermultiplier') {
-                    sliderMultiplier = parseFloat(trimmed.slice(sep + 1)) || 1.0;
-                }
-            }
-        } else if (section === 'timingpoints') {
-            const parts = trimmed.split(',');
-            if (parts.length >= 2) {
-                timingPoints.push({
-                    time: parseInt(parts[0]),
-                    beatLength: parseFloat(parts[1]),
-                    uninherited: parts.length > 6 ? parts[6] === '1' : true
-                });
-            }
-        } else if (inHitObjects) {
-            const parts = trimmed.split(',');
-            if (parts.length < 4) continue;
-
-            const time = parseInt(parts[2]);
-            const type = parseInt(parts[3]);
-            let endTime = time;
-
-            if (type & 2) {
-                if (parts.length >= 8) {
-                    const slides = parseInt(parts[6]) || 1;
-                    const length = parseFloat(parts[7]) || 0;
-                    const timing = getTiming(time);
-                    const duration = (length / (sliderMultiplier * 100 * timing.sv)) * timing.beatLength * slides;
-                    endTime = time + Math.max(0, Math.floor(duration));
-                }
-            } else if (type & 8) {
-                if (parts.length >= 6) endTime = parseInt(parts[5]) || time;
-            } else if (type & 128) {
-                if (parts.length >= 6) endTime = parseInt(parts[5].split(':')[0]) || time;
-            }
-
-            // Fill gap if previous was a slider
-            if (hitEnds.length > 0) {
-                const prevType = hitTypes[hitTypes.length - 1];
-                if (prevType & 2) {
-                    hitEnds[hitEnds.length - 1] = Math.max(hitEnds[hitEnds.length - 1], time);
-                }
-            }
-
-            hitStarts.push(time);
-            hitEnds.push(Math.max(time, endTime));
-            hitTypes.push(type);
-        }
-    }
-
-    return { hitStarts, hitEnds };
-};
-
-const parseBookmarks = (content) => {
-    let inEditor = false;
-    const lines = content.split(/\r?\n/);
-
-    for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed) {
-            continue;
-        }
-
-        if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-            inEditor = trimmed === '[Editor]';
-            continue;
-        }
-
-        if (!inEditor) {
-            continue;
-        }
-
-        if (trimmed.startsWith('Bookmarks:')) {
-            const raw = trimmed.slice('Bookmarks:'.length).trim();
-            if (!raw) return [];
-            return raw
-                .split(',')
-                .map((val) => Number.parseInt(val.trim(), 10))
-                .filter((val) => Number.isFinite(val));
-        }
-    }
-
-    return [];
-};
+// Objects closer together than this belong to the same mapped span; anything sparser
+// (a stray note, an unfinished section) only covers the time its objects actually take
+const MAPPED_GAP_MS = 2000;
 
 const buildHighlightRanges = (starts, ends, durationMs) => {
     if (!starts || !starts.length || !durationMs) {
         return [];
     }
 
-    const bins = 120;
-    const flags = new Array(bins).fill(false);
-    const maxTime = durationMs;
+    const objects = starts
+        .map((start, i) => [start, Math.max(start, (ends && ends.length > i) ? ends[i] : start)])
+        .filter(([start]) => start >= 0 && start <= durationMs)
+        .sort((a, b) => a[0] - b[0]);
 
-    for (let i = 0; i < starts.length; i++) {
-        const start = starts[i];
-        const end = (ends && ends.length > i) ? ends[i] : start;
+    const ranges = [];
+    let current = null;
+    objects.forEach(([start, end]) => {
+        if (current && start - current.end <= MAPPED_GAP_MS) {
+            current.end = Math.max(current.end, end);
+        } else {
+            current = { start, end };
+            ranges.push(current);
+        }
+    });
 
-        if (start < 0 || start > maxTime) continue;
+    return ranges.map(range => ({
+        start: range.start / durationMs,
+        end: Math.min(range.end, durationMs) / durationMs,
+        type: 'object',
+    }));
+};
 
-        const startIdx = Math.min(bins - 1, Math.floor((start / maxTime) * bins));
-        const endIdx = Math.min(bins - 1, Math.floor((Math.max(start, end) / maxTime) * bins));
+// Objects per second across the map, smoothed over a two second window
+const DENSITY_PROFILE_POINTS = 256;
+const DENSITY_WINDOW_MS = 2000;
 
-        for (let j = startIdx; j <= endIdx; j++) {
-            flags[j] = true;
-        }
+const buildDensityProfile = (starts, durationMs) => {
+    if (!starts?.length || !durationMs) {
+        return [];
     }
 
-    const ranges = [];
-    let start = null;
-    for (let i = 0; i < bins; i += 1) {
-        if (flags[i]) {
-            if (start === null) {
-                start = i;
-            }
-        } else if (start !== null) {
-            ranges.push({ start: start / bins, end: i / bins, type: 'object' });
-            start = null;
-        }
-    }
-    if (start !== null) {
-        ranges.push({ start: start / bins, end: 1, type: 'object' });
+    const sorted = [...starts].sort((a, b) => a - b);
+    const profile = [];
+    let low = 0;
+    let high = 0;
+    for (let i = 0; i < DENSITY_PROFILE_POINTS; i++) {
+        const center = ((i + 0.5) / DENSITY_PROFILE_POINTS) * durationMs;
+        while (low < sorted.length && sorted[low] < center - DENSITY_WINDOW_MS / 2) low++;
+        while (high < sorted.length && sorted[high] <= center + DENSITY_WINDOW_MS / 2) high++;
+        profile.push(Math.round(((high - low) / (DENSITY_WINDOW_MS / 1000)) * 10) / 10);
     }
-
-    return ranges;
+    return profile;
 };
 
 const buildBreakRanges = (breaks, durationMs) => {
@@ -764,6 +780,17 @@ const buildBookmarkRanges = (bookmarks, durationMs) => {
     return ranges;
 };
 
+// Unsnapped objects are drawn as ticks, so each one is a zero-length range
+const buildUnsnapRanges = (times, durationMs) => {
+    if (!times?.length || !durationMs) {
+        return [];
+    }
+
+    return times
+        .filter((time) => time >= 0 && time <= durationMs)
+        .map((time) => ({ start: time / durationMs, end: time / durationMs, type: 'unsnap' }));
+};
+
 const normalizeMetadata = (metadata) => ({
     title: metadata?.title || 'Unknown Title',
     titleUnicode: metadata?.titleUnicode || metadata?.title || 'Unknown Title',
@@ -783,95 +810,780 @@ const normalizeMetadata = (metadata) => ({
     id: metadata?.id ?? '',
     deadline: metadata?.deadline ?? null,
     targetStarRating: metadata?.targetStarRating ?? null,
+    timeSpentMs: metadata?.timeSpentMs ?? 0,
+    sessionCount: metadata?.sessionCount ?? 0,
+    labels: metadata?.labels ?? [],
+    notes: metadata?.notes ?? '',
+    starRating: metadata?.starRating ?? null,
+    stats: metadata?.stats ?? null,
+    mode: metadata?.mode ?? 0,
 });
 
-const buildListItem = (metadata, index) => {
-    const normalized = normalizeMetadata(metadata);
-    const isDone = doneIds.includes(normalized.id);
-    const listBox = document.createElement('div');
-    listBox.classList.add('list-box');
-    listBox.style.setProperty('--i', index);
-    // Expose progress so we can decide whether to render placeholder highlights
-    listBox.dataset.progress = String(normalized.progress || 0);
-    listBox.dataset.renderIndex = String(index);
+const GAME_MODE_NAMES = ['osu!', 'osu!taiko', 'osu!catch', 'osu!mania'];
 
-    if (normalized.highlights.length) {
-        listBox.__highlights = normalized.highlights;
-    } else if (normalized.progress > 0) {
-        // Only show placeholder highlights if the item has non-zero progress
-        listBox.dataset.highlights = index % 2 === 0 ? '0.06-0.14,0.34-0.38,0.72-0.98' : '0.12-0.2,0.48-0.62';
-    } else {
-        // Ensure no placeholder is present when progress is zero
-        delete listBox.dataset.highlights;
-    }
+// What circles / sliders / spinners are called in each mode
+const GAME_MODE_OBJECT_LABELS = [
+    ['Circles', 'Sliders', 'Spinners'],
+    ['Hits', 'Drumrolls', 'Swells'],
+    ['Fruits', 'Juice streams', 'Bananas'],
+    ['Notes', 'Sliders', 'Spinners'],
+];
 
-    listBox.dataset.itemId = normalized.id;
+const GAME_MODE_ICONS = [
+    '<circle cx="12" cy="12" r="8.5" fill="none" stroke="currentColor" stroke-width="2.5"/><circle cx="12" cy="12" r="3.5" fill="currentColor"/>',
+    '<circle cx="12" cy="12" r="8.5" fill="none" stroke="currentColor" stroke-width="2.5"/><path d="M12 6.5a5.5 5.5 0 0 0 0 11z" fill="currentColor"/>',
+    '<circle cx="12" cy="14" r="7" fill="none" stroke="currentColor" stroke-width="2.5"/><path d="M12 7c0-2.5 1.5-4 4-4.5" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>',
+    '<path d="M5 3.5v17M10 3.5v17M14 3.5v17M19 3.5v17" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"/>',
+];
 
-    const details = document.createElement('div');
-    details.classList.add('list-details');
+// ============================================
+// User Tags
+// ============================================
+// Free-form tags ("collab", "contest", "GD for X") live in `labels` so they don't clash
+// with the Tags field parsed from the .osu file. Colours are shared by every item with the tag.
+const LABEL_COLORS = ['#8c66ff', '#4391ff', '#3f9b6a', '#efc45f', '#ef8a3c', '#d64040', '#e05fb4', '#8a8a99'];
+const MAX_LABEL_LENGTH = 32;
 
-    const image = document.createElement('div');
-    image.classList.add('list-img');
+const normalizeLabel = (text) => String(text || '').trim().replace(/\s+/g, ' ').slice(0, MAX_LABEL_LENGTH);
 
-    const img = document.createElement('img');
-    img.alt = `${normalized.artistUnicode} - ${normalized.titleUnicode}`;
-    img.loading = 'lazy';
-    img.decoding = 'async';
-    if (normalized.coverUrl) {
-        img.src = normalized.coverUrl;
-    } else {
-        img.src = '../assets/placeholder.png';
-        img.classList.add('list-img--placeholder');
-    }
-    image.appendChild(img);
+const getLabelColor = (name) => {
+    const key = name.toLowerCase();
+    if (settings.labelColors?.[key]) return settings.labelColors[key];
+    // Stable default so a new tag looks the same everywhere before it is recoloured
+    let hash = 0;
+    for (const char of key) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return LABEL_COLORS[hash % LABEL_COLORS.length];
+};
 
-    const title = document.createElement('h3');
-    title.classList.add('list-title');
-    title.textContent = `${normalized.artistUnicode} - ${normalized.titleUnicode}`;
+const cycleLabelColor = (name) => {
+    const key = name.toLowerCase();
+    const current = LABEL_COLORS.indexOf(getLabelColor(name));
+    const next = LABEL_COLORS[(current + 1) % LABEL_COLORS.length];
+    settings.labelColors = { ...(settings.labelColors || {}), [key]: next };
+    persistSettings();
+    scheduleSave();
+    document.querySelectorAll('[data-label]').forEach((el) => {
+        if (el.dataset.label === key) el.style.setProperty('--label-color', next);
+    });
+};
 
-    const meta = document.createElement('div');
-    meta.classList.add('list-meta');
+const getAllLabels = () => {
+    const byKey = new Map();
+    beatmapItems.forEach(item => (item.labels || []).forEach(label => {
+        if (!byKey.has(label.toLowerCase())) byKey.set(label.toLowerCase(), label);
+    }));
+    return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+};
 
-    const creatorTag = document.createElement('span');
-    creatorTag.classList.add('meta-tag');
-    creatorTag.textContent = normalized.creator;
+const createLabelChip = (name) => {
+    const chip = document.createElement('span');
+    chip.classList.add('meta-tag', 'meta-tag--label');
+    chip.dataset.label = name.toLowerCase();
+    chip.style.setProperty('--label-color', getLabelColor(name));
+    chip.textContent = name;
+    chip.title = `Tag: ${name}`;
+    return chip;
+};
 
-    const versionTag = document.createElement('span');
-    versionTag.classList.add('meta-tag');
-    versionTag.textContent = normalized.version;
+// Tag editor for the expanded Todo pane; onChange receives the new label list
+const buildLabelEditor = (labels, onChange) => {
+    const container = document.createElement('div');
+    container.classList.add('labels-container');
+
+    const label = document.createElement('span');
+    label.classList.add('labels-label');
+    label.textContent = 'Tags:';
+    container.appendChild(label);
+
+    const chips = document.createElement('div');
+    chips.classList.add('labels-list');
+    container.appendChild(chips);
+
+    let current = [...labels];
+    const renderChips = () => {
+        chips.innerHTML = '';
+        current.forEach((name) => {
+            const chip = createLabelChip(name);
+            chip.classList.add('is-editable');
+            chip.title = 'Click to change colour';
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                cycleLabelColor(name);
+            });
 
-    const beatmapLink = document.createElement('button');
-    beatmapLink.type = 'button';
-    beatmapLink.classList.add('beatmap-link');
-    const bID = normalized.beatmapSetID;
-    const isUrl = typeof bID === 'string' && bID.startsWith('http');
-    const idNum = Number(bID);
-    const isUploaded = isUrl || (Number.isFinite(idNum) && idNum > 0);
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.classList.add('label-remove');
+            remove.title = `Remove ${name}`;
+            remove.textContent = '×';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                current = current.filter(l => l !== name);
+                renderChips();
+                onChange(current);
+            });
+            chip.appendChild(remove);
+            chips.appendChild(chip);
+        });
+    };
+    renderChips();
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.classList.add('label-input');
+    input.placeholder = 'Add tag...';
+    input.maxLength = MAX_LABEL_LENGTH;
+    input.setAttribute('list', 'labelSuggestions');
+    input.addEventListener('focus', () => {
+        const datalist = document.querySelector('#labelSuggestions');
+        if (!datalist) return;
+        datalist.innerHTML = '';
+        getAllLabels().forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            datalist.appendChild(option);
+        });
+    });
 
-    const websiteIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    websiteIcon.setAttribute('viewBox', '0 0 512 512');
-    websiteIcon.classList.add('beatmap-link-icon');
-    const websitePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    websitePath.setAttribute('d', 'M320 0c-17.7 0-32 14.3-32 32s14.3 32 32 32l82.7 0-201.4 201.4c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L448 109.3 448 192c0 17.7 14.3 32 32 32s32-14.3 32-32l0-160c0-17.7-14.3-32-32-32L320 0zM80 96C35.8 96 0 131.8 0 176L0 432c0 44.2 35.8 80 80 80l256 0c44.2 0 80-35.8 80-80l0-80c0-17.7-14.3-32-32-32s-32 14.3-32 32l0 80c0 8.8-7.2 16-16 16L80 448c-8.8 0-16-7.2-16-16l0-256c0-8.8 7.2-16 16-16l80 0c17.7 0 32-14.3 32-32s-14.3-32-32-32L80 96z');
-    websiteIcon.appendChild(websitePath);
-    beatmapLink.appendChild(websiteIcon);
+    const addFromInput = () => {
+        const name = normalizeLabel(input.value);
+        input.value = '';
+        if (!name || current.some(l => l.toLowerCase() === name.toLowerCase())) return;
+        // Reuse the spelling of an existing tag so colours and search stay consistent
+        const existing = getAllLabels().find(l => l.toLowerCase() === name.toLowerCase());
+        current = [...current, existing || name];
+        renderChips();
+        onChange(current);
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addFromInput();
+        }
+    });
+    input.addEventListener('change', addFromInput);
+    container.appendChild(input);
 
-    if (isUploaded) {
-        beatmapLink.title = 'Open in browser';
-        beatmapLink.dataset.action = 'open-web';
-        beatmapLink.dataset.url = isUrl ? bID : `https://osu.ppy.sh/beatmapsets/${bID}`;
-        beatmapLink.style.cursor = 'pointer';
-    } else {
-        beatmapLink.title = 'Not uploaded';
-        beatmapLink.classList.add('beatmap-link--disabled');
-    }
+    return container;
+};
 
-    meta.appendChild(creatorTag);
-    meta.appendChild(versionTag);
+// ============================================
+// Editor Timestamps
+// ============================================
+// "00:12:345 (1,2,3) -" is how mappers point at objects; osu! can jump its editor to one
+const buildEditorReference = (time, combos = []) => (
+    combos.length ? `${formatEditorTimestamp(time)} (${combos.join(',')})` : formatEditorTimestamp(time)
+);
 
-    // Target star rating tag (always create, but hide if no value)
-    const getStarRatingColor = (rating) => {
-        const r = Math.max(0, Math.min(15, rating));
+const copyEditorReference = async (reference) => {
+    try {
+        await navigator.clipboard.writeText(`${reference} -`);
+        showStatusToast(`Copied ${reference} -`);
+    } catch (err) {
+        console.error('Failed to copy timestamp:', err);
+    }
+};
+
+const openInOsuEditor = async (reference) => {
+    const result = await window.beatmapApi?.openInOsuEditor?.(reference);
+    if (result && !result.success) {
+        showStatusToast("Couldn't open the osu! editor");
+    }
+};
+
+const hideTimestampMenu = () => {
+    const menu = document.querySelector('#timestampMenu');
+    if (menu?.matches(':popover-open')) menu.hidePopover();
+};
+
+// Context menu for a point in a map: copy its timestamp, open it in osu! or play from it
+const showTimestampMenu = (event, { itemId, time, combos = [] }) => {
+    const menu = document.querySelector('#timestampMenu');
+    if (!menu || !Number.isFinite(time)) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const reference = buildEditorReference(Math.max(0, time), combos);
+    menu.innerHTML = '';
+    [
+        { label: `Copy ${reference} -`, action: () => copyEditorReference(reference) },
+        { label: 'Open in osu! editor', action: () => openInOsuEditor(reference) },
+        { label: 'Play from here', action: () => AudioController.play(itemId, null, Math.max(0, time)) },
+    ].forEach(({ label, action }) => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.classList.add('context-menu-option');
+        option.textContent = label;
+        option.addEventListener('click', (e) => {
+            e.stopPropagation();
+            hideTimestampMenu();
+            action();
+        });
+        menu.appendChild(option);
+    });
+
+    // A popover sits above open modal dialogs such as the timeline inspector
+    if (!menu.matches(':popover-open')) menu.showPopover();
+    const left = Math.min(event.clientX, window.innerWidth - menu.offsetWidth - 8);
+    const top = Math.min(event.clientY, window.innerHeight - menu.offsetHeight - 8);
+    menu.style.left = `${Math.max(8, left)}px`;
+    menu.style.top = `${Math.max(8, top)}px`;
+};
+
+// Bookmark within a few pixels of the cursor, so right-clicking one copies its exact time
+const findNearbyTime = (times, time, msPerPx, px = 4) => (times || [])
+    .find(candidate => Math.abs(candidate - time) <= px * msPerPx);
+
+// ============================================
+// Map Notes
+// ============================================
+// A small markdown subset: headings, lists, quotes, `code`, **bold**, *italic* and links.
+// Editor timestamps (00:12:345, or pasted as 00:12:345 (1,2,3) -) become buttons that seek
+// the preview audio; right-clicking one offers copying it or opening it in osu!.
+const NOTE_INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|(?<!\w)_[^_\s][^_]*_(?!\w))|(\[[^\]]+\]\(https?:\/\/[^)\s]+\))|(\b\d{2,}:\d{2}:\d{3}(?: \([\d,|]+\))?(?: -)?)/g;
+
+const parseEditorTimestamp = (text) => {
+    const match = /^(\d+):(\d{2}):(\d{3})$/.exec(text);
+    if (!match) return null;
+    return Number(match[1]) * 60000 + Number(match[2]) * 1000 + Number(match[3]);
+};
+
+const renderNoteInline = (text, itemId) => {
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    for (const match of text.matchAll(NOTE_INLINE_PATTERN)) {
+        if (match.index > lastIndex) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        const [token, code, bold, italic, link, timestamp] = match;
+        if (code) {
+            const el = document.createElement('code');
+            el.textContent = code.slice(1, -1);
+            fragment.appendChild(el);
+        } else if (bold) {
+            const el = document.createElement('strong');
+            el.appendChild(renderNoteInline(bold.slice(2, -2), itemId));
+            fragment.appendChild(el);
+        } else if (italic) {
+            const el = document.createElement('em');
+            el.appendChild(renderNoteInline(italic.slice(1, -1), itemId));
+            fragment.appendChild(el);
+        } else if (link) {
+            const [, label, url] = /^\[([^\]]+)\]\(([^)]+)\)$/.exec(link);
+            const el = document.createElement('a');
+            el.href = '#';
+            el.textContent = label;
+            el.title = url;
+            el.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                window.appInfo?.openExternalUrl?.(url);
+            });
+            fragment.appendChild(el);
+        } else if (timestamp) {
+            const [, clock, comboList] = /^(\S+)(?: \(([^)]*)\))?/.exec(timestamp);
+            const time = parseEditorTimestamp(clock);
+            const el = document.createElement('button');
+            el.type = 'button';
+            el.classList.add('note-timestamp');
+            el.textContent = timestamp;
+            el.title = 'Play from here, right-click for more';
+            el.addEventListener('click', (e) => {
+                e.stopPropagation();
+                AudioController.play(itemId, null, time);
+            });
+            el.addEventListener('contextmenu', (e) => {
+                showTimestampMenu(e, { itemId, time, combos: comboList ? comboList.split(',') : [] });
+            });
+            fragment.appendChild(el);
+        }
+        lastIndex = match.index + token.length;
+    }
+    if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+    return fragment;
+};
+
+const renderNotesMarkdown = (markdown, itemId) => {
+    const root = document.createElement('div');
+    root.classList.add('notes-preview');
+
+    let list = null;
+    let paragraph = null;
+    const closeBlocks = () => {
+        list = null;
+        paragraph = null;
+    };
+
+    markdown.split(/\r?\n/).forEach((line) => {
+        const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+        const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+        const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+        const quote = /^>\s?(.*)$/.exec(line);
+
+        if (!line.trim()) {
+            closeBlocks();
+        } else if (heading) {
+            closeBlocks();
+            const el = document.createElement('div');
+            el.classList.add('notes-heading', `notes-heading--${heading[1].length}`);
+            el.appendChild(renderNoteInline(heading[2], itemId));
+            root.appendChild(el);
+        } else if (bullet || numbered) {
+            const tag = bullet ? 'ul' : 'ol';
+            if (!list || list.tagName.toLowerCase() !== tag) {
+                list = document.createElement(tag);
+                root.appendChild(list);
+            }
+            paragraph = null;
+            const li = document.createElement('li');
+            li.appendChild(renderNoteInline((bullet || numbered)[1], itemId));
+            list.appendChild(li);
+        } else if (quote) {
+            closeBlocks();
+            const el = document.createElement('blockquote');
+            el.appendChild(renderNoteInline(quote[1], itemId));
+            root.appendChild(el);
+        } else {
+            list = null;
+            if (paragraph) {
+                paragraph.appendChild(document.createElement('br'));
+            } else {
+                paragraph = document.createElement('p');
+                root.appendChild(paragraph);
+            }
+            paragraph.appendChild(renderNoteInline(line, itemId));
+        }
+    });
+
+    return root;
+};
+
+// Notes editor for the expanded Todo pane; shows the preview until Edit is pressed
+const buildNotesEditor = (item, onChange) => {
+    const container = document.createElement('div');
+    container.classList.add('notes-container');
+
+    const header = document.createElement('div');
+    header.classList.add('notes-header');
+    const label = document.createElement('span');
+    label.classList.add('notes-label');
+    label.textContent = 'Notes';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.classList.add('notes-toggle');
+    header.appendChild(label);
+    header.appendChild(toggle);
+    container.appendChild(header);
+
+    const textarea = document.createElement('textarea');
+    textarea.classList.add('notes-input');
+    textarea.rows = 5;
+    textarea.placeholder = 'Sections left, modder feedback... Markdown and 00:12:345 timestamps work.';
+    textarea.value = item.notes || '';
+    textarea.addEventListener('input', () => onChange(textarea.value));
+
+    const body = document.createElement('div');
+    body.classList.add('notes-body');
+    container.appendChild(body);
+
+    let editing = !textarea.value.trim();
+    const render = () => {
+        body.innerHTML = '';
+        toggle.textContent = editing ? 'Preview' : 'Edit';
+        if (editing) {
+            body.appendChild(textarea);
+        } else if (textarea.value.trim()) {
+            body.appendChild(renderNotesMarkdown(textarea.value, item.id));
+        } else {
+            const empty = document.createElement('span');
+            empty.classList.add('notes-empty');
+            empty.textContent = 'No notes yet';
+            body.appendChild(empty);
+        }
+    };
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        editing = !editing;
+        render();
+        if (editing) textarea.focus();
+    });
+    render();
+
+    return container;
+};
+
+// ============================================
+// Ranking Criteria Checks
+// ============================================
+// osu! drops breaks shorter than this, so they only confuse players
+const MIN_BREAK_LENGTH_MS = 650;
+
+// Fields every difficulty of a set must agree on
+const SET_CONSISTENT_FIELDS = [
+    ['artist', 'Artist'],
+    ['artistUnicode', 'Unicode artist'],
+    ['title', 'Title'],
+    ['titleUnicode', 'Unicode title'],
+    ['creator', 'Creator'],
+    ['source', 'Source'],
+    ['tags', 'Tags'],
+    ['beatmapSetID', 'Beatmap set ID'],
+    ['audio', 'Audio file'],
+    ['previewTime', 'Preview point'],
+];
+
+// osu! editor timestamp (mm:ss:mmm)
+const formatEditorTimestamp = (ms) => {
+    const value = Math.max(0, Math.round(ms));
+    const minutes = Math.floor(value / 60000);
+    const seconds = Math.floor(value / 1000) % 60;
+    const millis = value % 1000;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}:${String(millis).padStart(3, '0')}`;
+};
+
+// Difficulties in the same folder as the item
+const getSetSiblings = (item) => {
+    if (!item?.filePath) return [];
+    const dir = getDirectoryPath(item.filePath).toLowerCase();
+    return beatmapItems.filter(other => other !== item && other.id !== item.id
+        && other.filePath && getDirectoryPath(other.filePath).toLowerCase() === dir);
+};
+
+/**
+ * Rules run against the scanner output of one difficulty and the other difficulties of its set.
+ * Each returns a list of { severity: 'problem' | 'warning', message, times? }.
+ */
+const RANKING_RULES = [
+    {
+        id: 'preview-point',
+        check: (item) => ((item.previewTime ?? -1) < 0
+            ? [{ severity: 'warning', message: 'No preview point set' }]
+            : []),
+    },
+    {
+        id: 'background',
+        check: (item) => {
+            if (!item.coverPath) return [{ severity: 'problem', message: 'No background image' }];
+            if (!item.coverUrl) return [{ severity: 'problem', message: 'Background image file is missing' }];
+            return [];
+        },
+    },
+    {
+        id: 'metadata-consistency',
+        check: (item, siblings) => {
+            const issues = [];
+            SET_CONSISTENT_FIELDS.forEach(([field, label]) => {
+                // Items scanned before a field existed have it undefined; don't compare those
+                if (item[field] === undefined) return;
+                const mismatch = siblings.find(other => other[field] !== undefined && other[field] !== item[field]);
+                if (mismatch) {
+                    issues.push({ severity: 'problem', message: `${label} differs from [${mismatch.version}]` });
+                }
+            });
+            return issues;
+        },
+    },
+    {
+        id: 'unsnapped',
+        check: (item) => {
+            const times = item.unsnappedTimes || [];
+            if (!times.length) return [];
+            const plural = times.length === 1 ? '' : 's';
+            return [{ severity: 'problem', message: `${times.length} unsnapped object${plural}`, times }];
+        },
+    },
+    {
+        id: 'short-break',
+        check: (item) => (item.breakPeriods || [])
+            .filter(period => period.end - period.start < MIN_BREAK_LENGTH_MS)
+            .map(period => ({
+                severity: 'warning',
+                message: `Break at ${formatEditorTimestamp(period.start)} is shorter than ${MIN_BREAK_LENGTH_MS}ms`,
+                times: [period.start],
+            })),
+    },
+];
+
+const getRankingIssues = (item) => {
+    if (!item) return [];
+    const siblings = getSetSiblings(item);
+    return RANKING_RULES.flatMap(rule => rule.check(item, siblings).map(issue => ({ ...issue, rule: rule.id })));
+};
+
+// Issues panel for the expanded todo pane. Timestamps seek the preview audio to the issue.
+const buildIssuesPanel = (issues, itemId) => {
+    const panel = document.createElement('div');
+    panel.classList.add('issues-panel');
+
+    const heading = document.createElement('span');
+    heading.classList.add('issues-heading');
+    heading.textContent = issues.length ? `Ranking issues (${issues.length})` : 'No ranking issues found';
+    panel.appendChild(heading);
+
+    issues.forEach((issue) => {
+        const row = document.createElement('div');
+        row.classList.add('issue-row', `issue-row--${issue.severity}`);
+
+        const message = document.createElement('span');
+        message.classList.add('issue-message');
+        message.textContent = issue.message;
+        row.appendChild(message);
+
+        if (issue.rule === 'unsnapped' && issue.times?.length) {
+            const times = document.createElement('span');
+            times.classList.add('issue-times');
+            issue.times.slice(0, 5).forEach((time) => {
+                const timeBtn = document.createElement('button');
+                timeBtn.type = 'button';
+                timeBtn.classList.add('issue-time');
+                timeBtn.textContent = formatEditorTimestamp(time);
+                timeBtn.title = 'Play from here';
+                timeBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    AudioController.play(itemId, null, time);
+                };
+                times.appendChild(timeBtn);
+            });
+            if (issue.times.length > 5) {
+                times.appendChild(document.createTextNode(`+${issue.times.length - 5} more`));
+            }
+            row.appendChild(times);
+        }
+
+        panel.appendChild(row);
+    });
+
+    return panel;
+};
+
+const createModeIcon = (mode) => {
+    const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    icon.setAttribute('viewBox', '0 0 24 24');
+    icon.classList.add('mode-icon');
+    icon.innerHTML = GAME_MODE_ICONS[mode] ?? GAME_MODE_ICONS[0];
+    return icon;
+};
+
+const formatBpmRange = (stats) => {
+    if (stats.bpmMin === null || stats.bpmMax === null) return '--';
+    const min = Math.round(stats.bpmMin);
+    const max = Math.round(stats.bpmMax);
+    return min === max ? String(min) : `${min}-${max}`;
+};
+
+// Velocity is measured over recent saves only, so a map picked back up after a break
+// is not judged by how fast it went months ago
+const VELOCITY_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+// Never measure over less than a day, or two quick saves would project absurd speeds
+const MIN_VELOCITY_SPAN_MS = 24 * 60 * 60 * 1000;
+
+// Progress per millisecond over the velocity window, or null without recent gains
+const getProgressVelocity = (item, now = Date.now()) => {
+    const samples = item.progressHistory || [];
+    if (!samples.length) return null;
+
+    const windowStart = now - VELOCITY_WINDOW_MS;
+    const before = samples.filter(([time]) => time < windowStart);
+    const baseline = before.length ? before[before.length - 1] : samples[0];
+    const latest = samples[samples.length - 1];
+
+    const gained = latest[1] - baseline[1];
+    if (gained <= 0) return null;
+    const span = Math.max(now - Math.max(baseline[0], windowStart), MIN_VELOCITY_SPAN_MS);
+    return gained / span;
+};
+
+// History is always sampled as time coverage, so project from its latest sample rather
+// than item.progress, which follows the selected progress model
+const getEstimatedCompletion = (item, now = Date.now()) => {
+    const samples = item.progressHistory || [];
+    const progress = samples.length ? samples[samples.length - 1][1] : 0;
+    if (progress >= 1) return null;
+    const velocity = getProgressVelocity(item, now);
+    if (!velocity) return null;
+    return { date: now + (1 - progress) / velocity, perDay: velocity * 24 * 60 * 60 * 1000 };
+};
+
+const fillCompletionEstimate = (container, item) => {
+    const estimate = getEstimatedCompletion(item);
+    const isLate = !!(estimate && typeof item.deadline === 'number' && estimate.date > item.deadline);
+    container.classList.toggle('is-late', isLate);
+    container.innerHTML = '';
+
+    const value = document.createElement('span');
+    value.classList.add('difficulty-stat');
+    if (estimate) {
+        const date = new Date(estimate.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        value.innerHTML = `<strong>Estimated completion:</strong> ${date}`;
+        value.title = `Based on ~${(estimate.perDay * 100).toFixed(1)}% progress per day over the last two weeks`;
+    } else {
+        value.innerHTML = '<strong>Estimated completion:</strong> no recent progress';
+    }
+    container.appendChild(value);
+
+    if (isLate) {
+        const warning = document.createElement('span');
+        warning.classList.add('completion-warning');
+        warning.textContent = 'after the deadline';
+        container.appendChild(warning);
+    }
+};
+
+const buildCompletionEstimate = (item) => {
+    const container = document.createElement('div');
+    container.classList.add('completion-estimate');
+    fillCompletionEstimate(container, item);
+    return container;
+};
+
+// Per-difficulty stats grid for the expanded todo pane
+const buildDifficultyStats = (stats) => {
+    const container = document.createElement('div');
+    container.classList.add('difficulty-stats');
+
+    if (!stats) {
+        const empty = document.createElement('span');
+        empty.classList.add('difficulty-stat', 'difficulty-stat--empty');
+        empty.textContent = 'Stats will appear after the next refresh.';
+        container.appendChild(empty);
+        return container;
+    }
+
+    const isMania = stats.mode === 3;
+    const [circleLabel, sliderLabel, spinnerLabel] = GAME_MODE_OBJECT_LABELS[stats.mode] ?? GAME_MODE_OBJECT_LABELS[0];
+    const entries = [
+        ['Mode', GAME_MODE_NAMES[stats.mode] ?? `Mode ${stats.mode}`],
+        [circleLabel, stats.circles],
+    ];
+    if (isMania || stats.holds > 0) entries.push(['Holds', stats.holds]);
+    // Mania maps converted from other modes can't contain sliders or spinners
+    if (!isMania || stats.sliders > 0) entries.push([sliderLabel, stats.sliders]);
+    if (!isMania || stats.spinners > 0) entries.push([spinnerLabel, stats.spinners]);
+    entries.push(
+        ['Max combo', `${stats.maxCombo}x`],
+        ['Drain', formatDuration(stats.drainTimeMs)],
+        ['Density', `${(stats.density ?? 0).toFixed(1)}/s`],
+        ['BPM', formatBpmRange(stats)],
+        isMania ? ['Keys', stats.circleSize] : ['CS', stats.circleSize],
+        ['AR', stats.approachRate],
+        ['OD', stats.overallDifficulty],
+        ['HP', stats.hpDrainRate],
+    );
+
+    entries.forEach(([label, value]) => {
+        const stat = document.createElement('span');
+        stat.classList.add('difficulty-stat');
+        const strong = document.createElement('strong');
+        strong.textContent = `${label}:`;
+        stat.appendChild(strong);
+        stat.appendChild(document.createTextNode(` ${value}`));
+        container.appendChild(stat);
+    });
+
+    return container;
+};
+
+const PIN_ICON_PATH = 'M32 32C32 14.3 46.3 0 64 0L320 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-29 0 0 160c0 17.1 6.8 33.5 19 45.7l44.3 44.3c14.1 14.1 21.4 33.1 20.3 52.8s-12.7 37.7-30.8 45.6c-10.3 4.5-21.5 6.8-32.8 6.8l-85 0 0 128c0 17.7-14.3 32-32 32s-32-14.3-32-32l0-128-85 0c-11.3 0-22.5-2.3-32.8-6.8c-18.1-7.9-29.7-25.9-30.8-45.6s6.3-38.7 20.3-52.8L93 271.7c12.2-12.2 19-28.6 19-45.7l0-160-29 0c-17.7 0-32-14.3-32-32z';
+const EXPAND_ICON_PATH = 'M201.4 406.6c12.5 12.5 32.8 12.5 45.3 0l192-192c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L224 338.7 54.6 169.4c-12.5-12.5-32.8-12.5-45.3 0s-12.5 32.8 0 45.3l192 192z';
+
+const buildListItem = (metadata, index) => {
+    const normalized = normalizeMetadata(metadata);
+    const isDone = doneIds.includes(normalized.id);
+    const listBox = document.createElement('div');
+    listBox.classList.add('list-box');
+    listBox.style.setProperty('--i', index);
+    // Expose progress so we can decide whether to render placeholder highlights
+    listBox.dataset.progress = String(normalized.progress || 0);
+    listBox.dataset.renderIndex = String(index);
+
+    if (normalized.highlights.length) {
+        listBox.__highlights = normalized.highlights;
+    } else if (normalized.progress > 0) {
+        // Only show placeholder highlights if the item has non-zero progress
+        listBox.dataset.highlights = index % 2 === 0 ? '0.06-0.14,0.34-0.38,0.72-0.98' : '0.12-0.2,0.48-0.62';
+    } else {
+        // Ensure no placeholder is present when progress is zero
+        delete listBox.dataset.highlights;
+    }
+
+    listBox.dataset.itemId = normalized.id;
+    if (viewMode === 'all' && setChildIds.has(normalized.id)) {
+        listBox.classList.add('list-box--set-child');
+    }
+
+    const details = document.createElement('div');
+    details.classList.add('list-details');
+
+    const image = document.createElement('div');
+    image.classList.add('list-img');
+
+    const img = document.createElement('img');
+    img.alt = `${normalized.artistUnicode} - ${normalized.titleUnicode}`;
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    if (normalized.coverUrl) {
+        img.src = normalized.coverUrl;
+    } else {
+        img.src = '../assets/placeholder.png';
+        img.classList.add('list-img--placeholder');
+    }
+    image.appendChild(img);
+
+    const title = document.createElement('h3');
+    title.classList.add('list-title');
+    title.textContent = `${normalized.artistUnicode} - ${normalized.titleUnicode}`;
+
+    const meta = document.createElement('div');
+    meta.classList.add('list-meta');
+
+    const creatorTag = document.createElement('span');
+    creatorTag.classList.add('meta-tag');
+    creatorTag.textContent = normalized.creator;
+
+    const versionTag = document.createElement('span');
+    versionTag.classList.add('meta-tag');
+    versionTag.textContent = normalized.version;
+
+    const beatmapLink = document.createElement('button');
+    beatmapLink.type = 'button';
+    beatmapLink.classList.add('beatmap-link');
+    const bID = normalized.beatmapSetID;
+    const isUrl = typeof bID === 'string' && bID.startsWith('http');
+    const idNum = Number(bID);
+    const isUploaded = isUrl || (Number.isFinite(idNum) && idNum > 0);
+
+    const websiteIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    websiteIcon.setAttribute('viewBox', '0 0 512 512');
+    websiteIcon.classList.add('beatmap-link-icon');
+    const websitePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    websitePath.setAttribute('d', 'M320 0c-17.7 0-32 14.3-32 32s14.3 32 32 32l82.7 0-201.4 201.4c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L448 109.3 448 192c0 17.7 14.3 32 32 32s32-14.3 32-32l0-160c0-17.7-14.3-32-32-32L320 0zM80 96C35.8 96 0 131.8 0 176L0 432c0 44.2 35.8 80 80 80l256 0c44.2 0 80-35.8 80-80l0-80c0-17.7-14.3-32-32-32s-32 14.3-32 32l0 80c0 8.8-7.2 16-16 16L80 448c-8.8 0-16-7.2-16-16l0-256c0-8.8 7.2-16 16-16l80 0c17.7 0 32-14.3 32-32s-14.3-32-32-32L80 96z');
+    websiteIcon.appendChild(websitePath);
+    beatmapLink.appendChild(websiteIcon);
+
+    if (isUploaded) {
+        beatmapLink.title = 'Open in browser';
+        beatmapLink.dataset.action = 'open-web';
+        beatmapLink.dataset.url = isUrl ? bID : `https://osu.ppy.sh/beatmapsets/${bID}`;
+        beatmapLink.style.cursor = 'pointer';
+    } else {
+        beatmapLink.title = 'Not uploaded';
+        beatmapLink.classList.add('beatmap-link--disabled');
+    }
+
+    const modeTag = document.createElement('span');
+    modeTag.classList.add('meta-tag', 'meta-tag--mode');
+    modeTag.title = GAME_MODE_NAMES[normalized.mode] ?? GAME_MODE_NAMES[0];
+    modeTag.appendChild(createModeIcon(normalized.mode));
+
+    meta.appendChild(modeTag);
+    meta.appendChild(creatorTag);
+    meta.appendChild(versionTag);
+
+    // Target star rating tag (always create, but hide if no value)
+    const getStarRatingColor = (rating) => {
+        const r = Math.max(0, Math.min(15, rating));
         
         // Define color stops: [starRating, r, g, b]
         // Offset by 0.3 larger than original thresholds
@@ -909,48 +1621,117 @@ const buildListItem = (metadata, index) => {
         return `rgb(${finalR}, ${finalG}, ${finalB})`;
     };
 
-    const starTag = document.createElement('span');
-    starTag.classList.add('meta-tag', 'meta-tag--star-rating');
-    
-    const starIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    starIcon.setAttribute('viewBox', '0 0 574 574');
-    starIcon.classList.add('meta-tag-icon');
-    
-    // Outer ring path
-    const starPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    starPath.setAttribute('d', 'M287,0C445.218,0 574,128.782 574,287C574,445.218 445.218,574 287,574C128.782,574 0,445.218 0,287C0,128.782 128.782,0 287,0ZM287,63C164.282,63 63,164.282 63,287C63,409.718 164.282,511 287,511C409.718,511 511,409.718 511,287C511,164.282 409.718,63 287,63Z');
-    starIcon.appendChild(starPath);
-    
-    // Inner circle
-    const innerCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-    innerCircle.setAttribute('cx', '287');
-    innerCircle.setAttribute('cy', '287');
-    innerCircle.setAttribute('r', '121');
-    starIcon.appendChild(innerCircle);
-    
-    const starValue = document.createElement('span');
-    starTag.appendChild(starIcon);
-    starTag.appendChild(starValue);
-    
-    // Helper to update star tag visibility and content
-    const updateStarTag = (rating) => {
-        if (rating !== null && rating !== undefined && !isNaN(rating)) {
-            const color = getStarRatingColor(rating);
-            starPath.style.fill = color;
-            innerCircle.style.fill = color;
-            starValue.textContent = rating.toFixed(1);
-            starTag.style.display = '';
-        } else {
-            starTag.style.display = 'none';
+    const isValidRating = (rating) => rating !== null && rating !== undefined && !isNaN(rating);
+
+    // Builds a star rating tag; returns the element and a setter that hides it without a value
+    const createStarTag = (modifier) => {
+        const tag = document.createElement('span');
+        tag.classList.add('meta-tag', 'meta-tag--star-rating', modifier);
+
+        const starIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        starIcon.setAttribute('viewBox', '0 0 574 574');
+        starIcon.classList.add('meta-tag-icon');
+
+        // Outer ring path
+        const starPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        starPath.setAttribute('d', 'M287,0C445.218,0 574,128.782 574,287C574,445.218 445.218,574 287,574C128.782,574 0,445.218 0,287C0,128.782 128.782,0 287,0ZM287,63C164.282,63 63,164.282 63,287C63,409.718 164.282,511 287,511C409.718,511 511,409.718 511,287C511,164.282 409.718,63 287,63Z');
+        starIcon.appendChild(starPath);
+
+        // Inner circle
+        const innerCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        innerCircle.setAttribute('cx', '287');
+        innerCircle.setAttribute('cy', '287');
+        innerCircle.setAttribute('r', '121');
+        starIcon.appendChild(innerCircle);
+
+        const starValue = document.createElement('span');
+        tag.appendChild(starIcon);
+        tag.appendChild(starValue);
+
+        const setRating = (rating, digits) => {
+            if (isValidRating(rating)) {
+                const color = getStarRatingColor(rating);
+                starPath.style.fill = color;
+                innerCircle.style.fill = color;
+                starValue.textContent = rating.toFixed(digits);
+                tag.style.display = '';
+            } else {
+                tag.style.display = 'none';
+            }
+        };
+
+        return { tag, setRating };
+    };
+
+    const targetStar = createStarTag('meta-tag--target-star');
+    const currentStar = createStarTag('meta-tag--current-star');
+    let targetRating = normalized.targetStarRating;
+    let currentRating = normalized.starRating;
+
+    // Compare the computed rating against the target at the precision the target is typed in
+    const updateStarComparison = () => {
+        const { tag } = currentStar;
+        tag.classList.remove('is-above-target', 'is-below-target');
+        tag.title = 'Current star rating (approximate, no mods)';
+        if (!isValidRating(currentRating) || !isValidRating(targetRating)) return;
+
+        const difference = Math.round((currentRating - targetRating) * 10) / 10;
+        if (difference > 0) {
+            tag.classList.add('is-above-target');
+            tag.title += ` - ${difference.toFixed(1)} above target`;
+        } else if (difference < 0) {
+            tag.classList.add('is-below-target');
+            tag.title += ` - ${Math.abs(difference).toFixed(1)} below target`;
         }
     };
-    
+
+    // Helpers to update star tag visibility and content
+    const updateStarTag = (rating) => {
+        targetRating = rating;
+        targetStar.setRating(rating, 1);
+        updateStarComparison();
+    };
+    const updateCurrentStarTag = (rating) => {
+        currentRating = rating;
+        currentStar.setRating(rating, 2);
+        updateStarComparison();
+    };
+
     // Initial state
-    updateStarTag(normalized.targetStarRating);
-    meta.appendChild(starTag);
-    
-    // Store reference for dynamic updates
+    targetStar.tag.title = 'Target star rating';
+    updateStarTag(targetRating);
+    updateCurrentStarTag(currentRating);
+    meta.appendChild(targetStar.tag);
+    meta.appendChild(currentStar.tag);
+
+    // Store references for dynamic updates
     listBox._updateStarTag = updateStarTag;
+    listBox._updateCurrentStarTag = updateCurrentStarTag;
+
+    // Ranking issue count
+    const issues = getRankingIssues(metadata);
+    const issueTag = document.createElement('span');
+    issueTag.classList.add('meta-tag', 'meta-tag--issues');
+    const updateIssueTag = (itemIssues) => {
+        const problems = itemIssues.filter(issue => issue.severity === 'problem').length;
+        issueTag.textContent = `${itemIssues.length} issue${itemIssues.length === 1 ? '' : 's'}`;
+        issueTag.classList.toggle('has-problems', problems > 0);
+        issueTag.title = itemIssues.map(issue => issue.message).join('\n');
+        issueTag.style.display = itemIssues.length ? '' : 'none';
+    };
+    updateIssueTag(issues);
+    meta.appendChild(issueTag);
+    listBox._updateIssueTag = updateIssueTag;
+
+    // User tags
+    let labelChips = [];
+    const updateLabelTags = (labels) => {
+        labelChips.forEach(chip => chip.remove());
+        labelChips = (labels || []).map(createLabelChip);
+        issueTag.after(...labelChips);
+    };
+    updateLabelTags(normalized.labels);
+    listBox._updateLabelTags = updateLabelTags;
 
     const folderLink = document.createElement('button');
     folderLink.type = 'button';
@@ -996,11 +1777,22 @@ const buildListItem = (metadata, index) => {
         const x = e.clientX - rect.left;
         const percentage = Math.min(Math.max(x / rect.width, 0), 1);
 
+        // Clicking right on a red tick jumps to that exact unsnapped object
+        const item = beatmapItems.find(i => i.id === normalized.id);
+        if (item?.durationMs && item.unsnappedTimes?.length && !doneIds.includes(normalized.id)) {
+            const tickTime = item.unsnappedTimes.find(time => Math.abs((time / item.durationMs) * rect.width - x) <= 4);
+            if (tickTime !== undefined) {
+                AudioController.play(normalized.id, null, tickTime);
+                return;
+            }
+        }
+
         AudioController.play(normalized.id, percentage);
     };
 
     timeline.style.cursor = 'pointer';
     timeline.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
         handleTimelineSeek(e);
 
         const onMouseMove = (moveEvent) => {
@@ -1016,6 +1808,15 @@ const buildListItem = (metadata, index) => {
         window.addEventListener('mouseup', onMouseUp);
     });
 
+    timeline.addEventListener('contextmenu', (e) => {
+        const item = beatmapItems.find(i => i.id === normalized.id);
+        if (!item?.durationMs) return;
+        const rect = timeline.getBoundingClientRect();
+        const msPerPx = item.durationMs / rect.width;
+        const time = (e.clientX - rect.left) * msPerPx;
+        showTimestampMenu(e, { itemId: normalized.id, time: findNearbyTime(item.bookmarks, time, msPerPx) ?? time });
+    });
+
     const pinBtn = document.createElement('button');
     pinBtn.type = 'button';
     pinBtn.classList.add('pin-btn');
@@ -1028,13 +1829,14 @@ const buildListItem = (metadata, index) => {
     pinSvg.setAttribute('aria-hidden', 'true');
     pinSvg.classList.add('pin-btn-icon');
     const pinPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    pinPath.setAttribute('d', 'M32 32C32 14.3 46.3 0 64 0L320 0c17.7 0 32 14.3 32 32s-14.3 32-32 32l-29 0 0 160c0 17.1 6.8 33.5 19 45.7l44.3 44.3c14.1 14.1 21.4 33.1 20.3 52.8s-12.7 37.7-30.8 45.6c-10.3 4.5-21.5 6.8-32.8 6.8l-85 0 0 128c0 17.7-14.3 32-32 32s-32-14.3-32-32l0-128-85 0c-11.3 0-22.5-2.3-32.8-6.8c-18.1-7.9-29.7-25.9-30.8-45.6s6.3-38.7 20.3-52.8L93 271.7c12.2-12.2 19-28.6 19-45.7l0-160-29 0c-17.7 0-32-14.3-32-32z');
+    pinPath.setAttribute('d', PIN_ICON_PATH);
     pinSvg.appendChild(pinPath);
     pinBtn.appendChild(pinSvg);
 
-    const isTodoTab = viewMode === 'todo';
-    const isCompletedTab = viewMode === 'completed';
-    const isAllTab = viewMode === 'all';
+    const viewKind = getViewKind();
+    const isTodoTab = viewKind === 'todo';
+    const isCompletedTab = viewKind === 'completed';
+    const isAllTab = viewKind === 'all';
 
     if (isTodoTab) {
         pinBtn.classList.add('is-todo-tab');
@@ -1079,7 +1881,7 @@ const buildListItem = (metadata, index) => {
         expandIcon.setAttribute('viewBox', '0 0 448 512');
         expandIcon.classList.add('expand-icon');
         const expandPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        expandPath.setAttribute('d', 'M201.4 406.6c12.5 12.5 32.8 12.5 45.3 0l192-192c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L224 338.7 54.6 169.4c-12.5-12.5-32.8-12.5-45.3 0s-12.5 32.8 0 45.3l192 192z');
+        expandPath.setAttribute('d', EXPAND_ICON_PATH);
         expandIcon.appendChild(expandPath);
     }
 
@@ -1137,6 +1939,11 @@ const buildListItem = (metadata, index) => {
         progressSpan.innerHTML = `<strong>Progress:</strong> ${progress}%`;
         itemStats.appendChild(progressSpan);
 
+        const timeSpentSpan = document.createElement('span');
+        timeSpentSpan.title = `${normalized.sessionCount} editing session${normalized.sessionCount === 1 ? '' : 's'} (estimated from saves)`;
+        timeSpentSpan.innerHTML = `<strong>Time spent:</strong> ${formatTimeSpent(normalized.timeSpentMs)}`;
+        itemStats.appendChild(timeSpentSpan);
+
         if (expandIcon) {
             infoHeader.appendChild(expandIcon);
         }
@@ -1148,9 +1955,12 @@ const buildListItem = (metadata, index) => {
         }
 
         expansionArea.appendChild(infoHeader);
+
+        // Timeline Legend Row
+        expansionArea.appendChild(buildTimelineLegend());
     }
 
-    if (viewMode === 'all' && todoIds.includes(normalized.id)) {
+    if (isAllTab && todoIds.includes(normalized.id)) {
         listBox.classList.add('is-pinned');
     }
 
@@ -1219,8 +2029,10 @@ const buildListItem = (metadata, index) => {
             // Update local data
             const itemIndex = beatmapItems.findIndex(i => i.id === normalized.id);
             if (itemIndex !== -1) {
+                recordHistory('Change deadline', { deadlineIds: [normalized.id] });
                 beatmapItems[itemIndex].deadline = newDeadline;
                 scheduleSave();
+                fillCompletionEstimate(completionEstimate, beatmapItems[itemIndex]);
 
                 // Update status class without re-rendering everything
                 listBox.classList.remove('list-box--overdue', 'list-box--due-soon');
@@ -1240,6 +2052,11 @@ const buildListItem = (metadata, index) => {
         deadlineContainer.appendChild(deadlinePicker);
         expansionArea.appendChild(deadlineContainer);
 
+        // Projected completion from recent progress
+        // normalizeMetadata drops the progress history, so estimate from the live item
+        const completionEstimate = buildCompletionEstimate(beatmapItems.find(i => i.id === normalized.id) || normalized);
+        expansionArea.appendChild(completionEstimate);
+
         // Target Star Rating Row
         const targetStarContainer = document.createElement('div');
         targetStarContainer.classList.add('target-star-container');
@@ -1275,6 +2092,29 @@ const buildListItem = (metadata, index) => {
         targetStarContainer.appendChild(targetStarInput);
         expansionArea.appendChild(targetStarContainer);
 
+        // Tags Row
+        expansionArea.appendChild(buildLabelEditor(normalized.labels, (labels) => {
+            const item = beatmapItems.find(i => i.id === normalized.id);
+            if (!item) return;
+            item.labels = labels;
+            scheduleSave();
+            updateLabelTags(labels);
+        }));
+
+        // Notes Row
+        expansionArea.appendChild(buildNotesEditor(normalized, (notes) => {
+            const item = beatmapItems.find(i => i.id === normalized.id);
+            if (!item) return;
+            item.notes = notes;
+            scheduleSave();
+        }));
+
+        // Difficulty Stats Row
+        expansionArea.appendChild(buildDifficultyStats(normalized.stats));
+
+        // Ranking Issues Row
+        expansionArea.appendChild(buildIssuesPanel(issues, normalized.id));
+
         // Extra Actions Row
         const extraActions = document.createElement('div');
         extraActions.classList.add('extra-actions');
@@ -1303,6 +2143,34 @@ const buildListItem = (metadata, index) => {
             extraActions.appendChild(openWebBtn);
         }
 
+        const historyBtn = document.createElement('button');
+        historyBtn.type = 'button';
+        historyBtn.classList.add('extra-action-btn');
+        historyBtn.title = 'Progress History';
+        historyBtn.innerHTML = `
+            <svg viewBox="0 0 512 512"><path d="M64 64c0-17.7-14.3-32-32-32S0 46.3 0 64L0 400c0 44.2 35.8 80 80 80l400 0c17.7 0 32-14.3 32-32s-14.3-32-32-32L80 416c-8.8 0-16-7.2-16-16L64 64zm406.6 86.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L320 210.7l-57.4-57.4c-12.5-12.5-32.8-12.5-45.3 0l-112 112c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L240 221.3l57.4 57.4c12.5 12.5 32.8 12.5 45.3 0l128-128z"/></svg>
+            <span>Progress History</span>
+        `;
+        historyBtn.onclick = (e) => {
+            e.stopPropagation();
+            openStatsDialog(normalized.id);
+        };
+        extraActions.appendChild(historyBtn);
+
+        const inspectBtn = document.createElement('button');
+        inspectBtn.type = 'button';
+        inspectBtn.classList.add('extra-action-btn');
+        inspectBtn.title = 'Inspect Timeline';
+        inspectBtn.innerHTML = `
+            <svg viewBox="0 0 512 512"><path d="M416 208c0 45.9-14.9 88.3-40 122.7L502.6 457.4c12.5 12.5 12.5 32.8 0 45.3s-32.8 12.5-45.3 0L330.7 376c-34.4 25.2-76.8 40-122.7 40C93.1 416 0 322.9 0 208S93.1 0 208 0S416 93.1 416 208zM208 352a144 144 0 1 0 0-288 144 144 0 1 0 0 288z"/></svg>
+            <span>Inspect Timeline</span>
+        `;
+        inspectBtn.onclick = (e) => {
+            e.stopPropagation();
+            openTimelineInspector(normalized.id);
+        };
+        extraActions.appendChild(inspectBtn);
+
         expansionArea.appendChild(extraActions);
 
 
@@ -1329,7 +2197,7 @@ const buildListItem = (metadata, index) => {
             // Ignore clicks on interactive elements
             if (e.target.closest('button, a, input, .list-timeline')) return;
             // Ignore clicks inside the expansion area (deadline, target star, extra actions)
-            if (e.target.closest('.deadline-container, .target-star-container, .extra-actions')) return;
+            if (e.target.closest('.deadline-container, .target-star-container, .labels-container, .notes-container, .extra-actions')) return;
 
             listBox.classList.toggle('expanded');
         };
@@ -1341,7 +2209,7 @@ const buildListItem = (metadata, index) => {
     if (viewMode === 'todo') {
         const num = document.createElement('span');
         num.classList.add('todo-number');
-        num.textContent = `${index + 1}.`;
+        num.textContent = `${todoIds.indexOf(normalized.id) + 1}.`;
         details.appendChild(num);
         listBox.setAttribute('draggable', 'true');
     }
@@ -1354,19 +2222,536 @@ const buildListItem = (metadata, index) => {
     return listBox;
 };
 
-const batchRenderTimelines = [];
+// ============================================
+// Smart Lists
+// ============================================
+const SMART_LIST_PREFIX = 'smart:';
 
-const syncVirtualList = () => {
-    const container = document.querySelector('#listContainer');
-    if (!container) return;
+const getActiveSmartList = () => (String(viewMode).startsWith(SMART_LIST_PREFIX)
+    ? (settings.smartLists || []).find(list => `${SMART_LIST_PREFIX}${list.id}` === viewMode) || null
+    : null);
 
-    const scrollTop = window.scrollY;
-    const windowHeight = window.innerHeight;
-    const rect = container.getBoundingClientRect();
-    const containerTop = rect.top + scrollTop;
+// Smart lists show their items the way the All tab does
+const getViewKind = () => (getActiveSmartList() ? 'all' : viewMode);
 
-    // Calculate which items are in view
-    const startIndex = Math.max(0, Math.floor((scrollTop - containerTop) / VIRTUAL_ITEM_HEIGHT) - 5);
+const getSmartListItems = (list, extraQuery = '') => {
+    const visibleItems = beatmapItems.filter(getGuestVisibilityFilter(list.query, extraQuery))
+        .filter(item => list.mode === 'all' || (item.mode ?? 0) === Number(list.mode));
+    return sortItems(filterItems(visibleItems, list.query), list.sort.mode, list.sort.direction);
+};
+
+const renderSmartListTabs = () => {
+    const tabsBar = document.querySelector('.tabs-bar');
+    const actions = tabsBar?.querySelector('.tabs-actions');
+    if (!tabsBar || !actions) return;
+
+    tabsBar.querySelectorAll('.tab-button--smart').forEach(el => el.remove());
+    (settings.smartLists || []).forEach((list) => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.classList.add('tab-button', 'tab-button--smart');
+        tab.dataset.tab = `${SMART_LIST_PREFIX}${list.id}`;
+        tab.classList.toggle('is-active', tab.dataset.tab === viewMode);
+        tab.title = [list.query, list.mode !== 'all' ? GAME_MODE_NAMES[list.mode] : ''].filter(Boolean).join(' · ') || list.name;
+
+        const name = document.createElement('span');
+        name.textContent = list.name;
+        tab.appendChild(name);
+
+        const count = document.createElement('span');
+        count.classList.add('tab-count');
+        count.dataset.smartListId = list.id;
+        count.textContent = getSmartListItems(list).length;
+        tab.appendChild(count);
+
+        const remove = document.createElement('span');
+        remove.classList.add('tab-remove');
+        remove.dataset.action = 'remove-smart-list';
+        remove.title = 'Delete smart list';
+        remove.textContent = '×';
+        tab.appendChild(remove);
+
+        tabsBar.insertBefore(tab, actions);
+    });
+};
+
+const switchTab = (tab) => {
+    if (tab === viewMode) return;
+    viewMode = tab;
+    document.querySelectorAll('.tab-button').forEach(b => b.classList.toggle('is-active', b.dataset.tab === viewMode));
+    renderFromState();
+};
+
+const saveSmartList = (name) => {
+    const list = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name,
+        query: searchQuery,
+        mode: modeFilter,
+        sort: { ...sortState },
+    };
+    settings.smartLists = [...(settings.smartLists || []), list];
+    persistSettings();
+    renderSmartListTabs();
+
+    // The list already applies the query, so start from a clean search box
+    const searchInput = document.querySelector('#searchInput');
+    if (searchInput) searchInput.value = '';
+    searchQuery = '';
+    switchTab(`${SMART_LIST_PREFIX}${list.id}`);
+};
+
+const removeSmartList = (listId) => {
+    settings.smartLists = (settings.smartLists || []).filter(list => list.id !== listId);
+    persistSettings();
+    if (viewMode === `${SMART_LIST_PREFIX}${listId}`) {
+        viewMode = 'all';
+        document.querySelector('.tab-button[data-tab="all"]')?.classList.add('is-active');
+        renderFromState();
+    }
+    renderSmartListTabs();
+};
+
+const promptSmartListName = () => {
+    const dialog = document.querySelector('#smartListPrompt');
+    const input = document.querySelector('#smartListNameInput');
+    const summary = document.querySelector('#smartListSummary');
+    const cancelBtn = document.querySelector('#smartListCancel');
+    if (!dialog || !input) return Promise.resolve(null);
+
+    input.value = '';
+    if (summary) {
+        const parts = [
+            searchQuery ? `Search: ${searchQuery}` : 'No search',
+            modeFilter !== 'all' ? `Mode: ${GAME_MODE_NAMES[modeFilter]}` : 'All modes',
+            `Sorted by ${document.querySelector('#sortLabel')?.textContent || sortState.mode} (${sortState.direction === 'asc' ? 'ascending' : 'descending'})`,
+        ];
+        summary.textContent = parts.join(' · ');
+    }
+
+    return new Promise((resolve) => {
+        const cleanup = async () => {
+            await closeDialogWithAnimation(dialog);
+            cancelBtn?.removeEventListener('click', onCancel);
+            dialog.removeEventListener('submit', onSubmit);
+            dialog.removeEventListener('cancel', onCancel);
+        };
+        const onCancel = async (event) => {
+            event?.preventDefault();
+            await cleanup();
+            resolve(null);
+        };
+        const onSubmit = async (event) => {
+            event.preventDefault();
+            const name = input.value.trim();
+            if (!name) {
+                input.focus();
+                return;
+            }
+            await cleanup();
+            resolve(name);
+        };
+
+        dialog.showModal();
+        input.focus();
+        cancelBtn?.addEventListener('click', onCancel);
+        dialog.addEventListener('submit', onSubmit);
+        dialog.addEventListener('cancel', onCancel);
+    });
+};
+
+// ============================================
+// Calendar View
+// ============================================
+let calendarViewDate = new Date();
+calendarViewDate.setDate(1);
+
+// Pinned maps that are shown in the Todo tab
+const getPinnedItems = () => todoIds
+    .map(id => beatmapItems.find(item => item.id === id))
+    .filter(Boolean)
+    .filter(item => !isGuestDifficultyItem(item));
+
+const getProgressLevel = (progress) => {
+    if (progress >= 0.67) return 'high';
+    if (progress >= 0.34) return 'mid';
+    return 'low';
+};
+
+// Deadlines are stored as the last millisecond of the chosen day, like the date picker does
+const setItemDeadline = (itemId, date) => {
+    const item = beatmapItems.find(i => i.id === itemId);
+    if (!item) return;
+
+    let deadline = null;
+    if (date) {
+        const end = new Date(date);
+        end.setHours(23, 59, 59, 999);
+        deadline = end.getTime();
+    }
+    // Dropped back on the day it already has
+    if (deadline === (item.deadline ?? null)) return;
+
+    recordHistory('Change deadline', { deadlineIds: [itemId] });
+    item.deadline = deadline;
+    scheduleSave();
+    updateTabCounts();
+    renderCalendarView();
+};
+
+const buildCalendarChip = (item) => {
+    const progress = item.progress || 0;
+    const chip = document.createElement('div');
+    chip.classList.add('calendar-item', `calendar-item--${getProgressLevel(progress)}`);
+    chip.classList.toggle('is-overdue', typeof item.deadline === 'number' && item.deadline < Date.now());
+    chip.style.setProperty('--progress', `${Math.round(progress * 100)}%`);
+    chip.draggable = true;
+    chip.dataset.itemId = item.id;
+    chip.textContent = `${item.titleUnicode || item.title} [${item.version}]`;
+    chip.title = `${item.artistUnicode || item.artist} - ${item.titleUnicode || item.title} [${item.version}]\nProgress: ${Math.round(progress * 100)}%`;
+
+    chip.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', item.id);
+        e.dataTransfer.effectAllowed = 'move';
+        chip.classList.add('is-dragging');
+    });
+    chip.addEventListener('dragend', () => chip.classList.remove('is-dragging'));
+    return chip;
+};
+
+// Make an element accept dropped calendar chips; onDrop receives the item id
+const makeCalendarDropTarget = (el, onDrop) => {
+    el.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        el.classList.add('is-drop-target');
+    });
+    el.addEventListener('dragleave', (e) => {
+        if (!el.contains(e.relatedTarget)) el.classList.remove('is-drop-target');
+    });
+    el.addEventListener('drop', (e) => {
+        e.preventDefault();
+        el.classList.remove('is-drop-target');
+        const itemId = e.dataTransfer.getData('text/plain');
+        if (itemId) onDrop(itemId);
+    });
+};
+
+const renderCalendarView = () => {
+    const container = document.querySelector('#calendarView');
+    if (!container || viewMode !== 'calendar') return;
+
+    const pinned = getPinnedItems();
+    const byDay = new Map();
+    pinned.forEach((item) => {
+        if (typeof item.deadline !== 'number') return;
+        const day = new Date(item.deadline);
+        day.setHours(0, 0, 0, 0);
+        const key = day.getTime();
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(item);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(GlobalDatePicker.buildMonthHeader(calendarViewDate, (delta) => {
+        calendarViewDate.setMonth(calendarViewDate.getMonth() + delta);
+        renderCalendarView();
+    }));
+
+    const grid = GlobalDatePicker.buildMonthGrid(calendarViewDate, (el, date) => {
+        const dayNumber = document.createElement('span');
+        dayNumber.classList.add('calendar-day-number');
+        dayNumber.textContent = el.textContent;
+        el.textContent = '';
+        el.appendChild(dayNumber);
+
+        (byDay.get(date.getTime()) || []).forEach(item => el.appendChild(buildCalendarChip(item)));
+        makeCalendarDropTarget(el, itemId => setItemDeadline(itemId, date));
+    });
+    container.appendChild(grid);
+
+    const unscheduled = document.createElement('div');
+    unscheduled.classList.add('calendar-unscheduled');
+    const label = document.createElement('p');
+    label.classList.add('control-label');
+    label.textContent = 'No deadline';
+    unscheduled.appendChild(label);
+
+    const unscheduledItems = pinned.filter(item => typeof item.deadline !== 'number');
+    unscheduledItems.forEach(item => unscheduled.appendChild(buildCalendarChip(item)));
+    if (!unscheduledItems.length) {
+        const hint = document.createElement('span');
+        hint.classList.add('calendar-unscheduled-hint');
+        hint.textContent = pinned.length ? 'Drop a map here to clear its deadline' : 'Pin maps to plan them here';
+        unscheduled.appendChild(hint);
+    }
+    makeCalendarDropTarget(unscheduled, itemId => setItemDeadline(itemId, null));
+    container.appendChild(unscheduled);
+};
+
+// ============================================
+// Beatmap Sets
+// ============================================
+const SET_ID_PREFIX = 'set:';
+
+const isSetEntry = (entry) => entry?.isSet === true;
+
+// Difficulties of a set live in one folder and share the audio file
+const getSetKey = (item) => `${getDirectoryPath(item.filePath || '').toLowerCase()}|${String(item.audio || '').toLowerCase()}`;
+
+const buildSetEntry = (key, items) => {
+    const sorted = [...items].sort((a, b) => ((a.starRating ?? 0) - (b.starRating ?? 0))
+        || String(a.version).localeCompare(String(b.version)));
+    const first = sorted[0];
+    const doneCount = sorted.filter(item => doneIds.includes(item.id)).length;
+    const openItems = sorted.filter(item => !doneIds.includes(item.id));
+    const ratings = sorted.map(item => item.starRating).filter(rating => typeof rating === 'number');
+    const creators = [...new Set(sorted.map(item => item.creator).filter(Boolean))];
+
+    return {
+        isSet: true,
+        id: `${SET_ID_PREFIX}${key}`,
+        key,
+        items: sorted,
+        title: first.title,
+        titleUnicode: first.titleUnicode,
+        artist: first.artist,
+        artistUnicode: first.artistUnicode,
+        creators,
+        filePath: first.filePath,
+        coverUrl: sorted.find(item => item.coverUrl)?.coverUrl || '',
+        // Done difficulties count as fully mapped, like their timeline does
+        progress: sorted.reduce((sum, item) => sum + (doneIds.includes(item.id) ? 1 : (item.progress || 0)), 0) / sorted.length,
+        // Combined timeline: where any difficulty has objects
+        highlights: sorted.flatMap(item => (item.highlights || []).filter(range => range.type === 'object')),
+        starRange: ratings.length ? [Math.min(...ratings), Math.max(...ratings)] : null,
+        timeSpentMs: sorted.reduce((sum, item) => sum + (item.timeSpentMs || 0), 0),
+        isDone: doneCount === sorted.length,
+        isPinned: openItems.length > 0 && openItems.every(item => todoIds.includes(item.id)),
+    };
+};
+
+// Turn a sorted item list into rows: single difficulties stay as they are, sets become
+// a card followed by their difficulties when expanded. Sets keep the position of their first item.
+const groupItemsIntoSets = (items) => {
+    const groups = new Map();
+    items.forEach((item) => {
+        const key = getSetKey(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+
+    const rows = [];
+    setChildIds = new Set();
+    groups.forEach((setItems, key) => {
+        if (setItems.length === 1) {
+            rows.push(setItems[0]);
+            return;
+        }
+
+        const entry = buildSetEntry(key, setItems);
+        rows.push(entry);
+        if (expandedSetKeys.has(key)) {
+            entry.items.forEach((item) => {
+                setChildIds.add(item.id);
+                rows.push(item);
+            });
+        }
+    });
+    return rows;
+};
+
+const findSetEntry = (setId) => itemsToRender.find(entry => isSetEntry(entry) && entry.id === setId) || null;
+
+const toggleSetExpanded = (setKey) => {
+    if (expandedSetKeys.has(setKey)) {
+        expandedSetKeys.delete(setKey);
+    } else {
+        expandedSetKeys.add(setKey);
+    }
+    renderFromState();
+};
+
+// Re-aggregate the set card containing an item after the item changed
+const refreshSetCard = (itemId) => {
+    const index = itemsToRender.findIndex(entry => isSetEntry(entry) && entry.items.some(item => item.id === itemId));
+    if (index === -1) return;
+
+    const entry = itemsToRender[index];
+    const items = entry.items.map(item => beatmapItems.find(i => i.id === item.id)).filter(Boolean);
+    if (!items.length) return;
+    const refreshed = buildSetEntry(entry.key, items);
+    itemsToRender[index] = refreshed;
+
+    const listContainer = document.querySelector('#listContainer');
+    const el = listContainer?.querySelector(`[data-item-id="${CSS.escape(entry.id)}"]`);
+    if (!el) return;
+
+    const replacement = buildSetListItem(refreshed, index);
+    replacement.style.top = el.style.top;
+    el.replaceWith(replacement);
+    applyTimelineToBox(replacement, index);
+};
+
+const buildSetListItem = (entry, index) => {
+    const isExpanded = expandedSetKeys.has(entry.key);
+    const listBox = document.createElement('div');
+    listBox.classList.add('list-box', 'list-box--set');
+    listBox.classList.toggle('is-set-expanded', isExpanded);
+    listBox.classList.toggle('is-done', entry.isDone);
+    listBox.classList.toggle('is-pinned', entry.isPinned);
+    listBox.style.setProperty('--i', index);
+    listBox.dataset.itemId = entry.id;
+    listBox.dataset.renderIndex = String(index);
+    listBox.dataset.progress = String(entry.progress || 0);
+
+    const details = document.createElement('div');
+    details.classList.add('list-details');
+
+    const image = document.createElement('div');
+    image.classList.add('list-img');
+    const img = document.createElement('img');
+    img.alt = `${entry.artistUnicode} - ${entry.titleUnicode}`;
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    if (entry.coverUrl) {
+        img.src = entry.coverUrl;
+    } else {
+        img.src = '../assets/placeholder.png';
+        img.classList.add('list-img--placeholder');
+    }
+    image.appendChild(img);
+
+    const title = document.createElement('h3');
+    title.classList.add('list-title');
+    title.textContent = `${entry.artistUnicode} - ${entry.titleUnicode}`;
+
+    const meta = document.createElement('div');
+    meta.classList.add('list-meta');
+
+    const creatorTag = document.createElement('span');
+    creatorTag.classList.add('meta-tag');
+    creatorTag.textContent = entry.creators.join(', ') || 'Unknown Creator';
+    meta.appendChild(creatorTag);
+
+    const countTag = document.createElement('span');
+    countTag.classList.add('meta-tag', 'meta-tag--set-count');
+    countTag.textContent = `${entry.items.length} difficulties`;
+    meta.appendChild(countTag);
+
+    if (entry.starRange) {
+        const [min, max] = entry.starRange;
+        const rangeTag = document.createElement('span');
+        rangeTag.classList.add('meta-tag');
+        rangeTag.title = 'Star rating range (approximate)';
+        rangeTag.textContent = min === max ? `${min.toFixed(2)}★` : `${min.toFixed(2)}-${max.toFixed(2)}★`;
+        meta.appendChild(rangeTag);
+    }
+
+    details.appendChild(image);
+    details.appendChild(title);
+    details.appendChild(meta);
+
+    // Combined timeline; seeking previews the shared audio through the first difficulty
+    const timeline = document.createElement('canvas');
+    timeline.classList.add('list-timeline');
+    timeline.setAttribute('aria-hidden', 'true');
+    timeline.width = 400;
+    timeline.height = 40;
+    timeline.style.cursor = 'pointer';
+    timeline.addEventListener('mousedown', (e) => {
+        const rect = timeline.getBoundingClientRect();
+        const percentage = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        AudioController.play(entry.items[0].id, percentage);
+    });
+
+    const expansionArea = document.createElement('div');
+    expansionArea.classList.add('extra-info-pane');
+    expansionArea.dataset.tab = 'all';
+
+    const infoHeader = document.createElement('div');
+    infoHeader.classList.add('info-header');
+
+    const expandIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    expandIcon.setAttribute('viewBox', '0 0 448 512');
+    expandIcon.classList.add('expand-icon');
+    const expandPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    expandPath.setAttribute('d', EXPAND_ICON_PATH);
+    expandIcon.appendChild(expandPath);
+    infoHeader.appendChild(expandIcon);
+
+    const itemStats = document.createElement('div');
+    itemStats.classList.add('item-stats');
+    const doneCount = entry.items.filter(item => doneIds.includes(item.id)).length;
+    const setStats = [
+        ['Difficulties', `${doneCount}/${entry.items.length} done`],
+        ['Progress', `${Math.round((entry.isDone ? 1 : entry.progress) * 100)}%`],
+        ['Time spent', formatTimeSpent(entry.timeSpentMs)],
+    ];
+    setStats.forEach(([label, value]) => {
+        const span = document.createElement('span');
+        span.innerHTML = `<strong>${label}:</strong> ${value}`;
+        itemStats.appendChild(span);
+    });
+    infoHeader.appendChild(itemStats);
+    expansionArea.appendChild(infoHeader);
+
+    const timelineContainer = document.createElement('div');
+    timelineContainer.classList.add('timeline-container');
+    timelineContainer.appendChild(timeline);
+    timelineContainer.appendChild(expansionArea);
+
+    const rightPane = document.createElement('div');
+    rightPane.classList.add('list-right');
+    rightPane.appendChild(timelineContainer);
+
+    if (!entry.isDone) {
+        const pinBtn = document.createElement('button');
+        pinBtn.type = 'button';
+        pinBtn.classList.add('pin-btn');
+        pinBtn.classList.toggle('is-active', entry.isPinned);
+        pinBtn.title = entry.isPinned ? 'Unpin set from Todo' : 'Pin set to Todo';
+        pinBtn.dataset.action = 'toggle-pin';
+        pinBtn.dataset.itemId = entry.id;
+
+        const pinSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        pinSvg.setAttribute('viewBox', '0 0 384 512');
+        pinSvg.setAttribute('aria-hidden', 'true');
+        pinSvg.classList.add('pin-btn-icon');
+        const pinPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        pinPath.setAttribute('d', PIN_ICON_PATH);
+        pinSvg.appendChild(pinPath);
+        pinBtn.appendChild(pinSvg);
+        rightPane.appendChild(pinBtn);
+    }
+
+    listBox.addEventListener('click', (e) => {
+        if (e.target.closest('button, a, input, .list-timeline')) return;
+        toggleSetExpanded(entry.key);
+    });
+
+    const listMain = document.createElement('div');
+    listMain.classList.add('list-main');
+    listMain.appendChild(details);
+    listMain.appendChild(rightPane);
+    listBox.appendChild(listMain);
+
+    return listBox;
+};
+
+const batchRenderTimelines = [];
+
+const syncVirtualList = () => {
+    const container = document.querySelector('#listContainer');
+    if (!container) return;
+
+    const scrollTop = window.scrollY;
+    const windowHeight = window.innerHeight;
+    const rect = container.getBoundingClientRect();
+    const containerTop = rect.top + scrollTop;
+
+    // Calculate which items are in view
+    const startIndex = Math.max(0, Math.floor((scrollTop - containerTop) / VIRTUAL_ITEM_HEIGHT) - 5);
     const endIndex = Math.min(itemsToRender.length, Math.ceil((scrollTop - containerTop + windowHeight) / VIRTUAL_ITEM_HEIGHT) + 5);
 
     // Filter out items that are already in DOM and are still in view
@@ -1389,7 +2774,7 @@ const syncVirtualList = () => {
     for (let i = startIndex; i < endIndex; i++) {
         const item = itemsToRender[i];
         if (!currentIds.has(item.id)) {
-            const el = buildListItem(item, i);
+            const el = isSetEntry(item) ? buildSetListItem(item, i) : buildListItem(item, i);
             el.dataset.renderIndex = i;
             el.style.top = `${i * VIRTUAL_ITEM_HEIGHT}px`;
             fragment.appendChild(el);
@@ -1454,7 +2839,7 @@ const updateEmptyState = (listContainer) => {
     const hasItems = itemsToRender.length > 0;
 
     // Toggle is-active for transition, but avoid display: none so transitions work
-    emptyState.classList.toggle('is-active', !hasItems);
+    emptyState.classList.toggle('is-active', !hasItems && viewMode !== 'calendar');
 
     if (clearAllButton) {
         // Show clear button if there are any items in the current view
@@ -1470,12 +2855,119 @@ const getDirectoryPath = (filePath) => {
     return filePath.slice(0, lastSlash + 1);
 };
 
-const computeProgress = (ranges) => {
+// ============================================
+// Mapped Sections Progress
+// ============================================
+// A bookmark/kiai section counts as mapped once this much of its playable time is covered
+const SECTION_MAPPED_RATIO = 0.8;
+const DEFAULT_BEAT_LENGTH_MS = 500;
+
+const getBeatLengthAt = (time, redLines) => {
+    let beatLength = redLines?.[0]?.beatLength || DEFAULT_BEAT_LENGTH_MS;
+    for (const line of redLines || []) {
+        if (line.time > time) break;
+        beatLength = line.beatLength;
+    }
+    return beatLength;
+};
+
+// Joins [start, end] pairs whose gaps stay under `gapBeats` beats of the red line in effect, in ms
+const mergeSpans = (spans, redLines, gapBeats) => {
+    const merged = [];
+    let current = null;
+    [...spans].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        if (current && start - current.end <= gapBeats * getBeatLengthAt(current.end, redLines)) {
+            current.end = Math.max(current.end, end);
+        } else {
+            current = { start, end };
+            merged.push(current);
+        }
+    });
+    return merged;
+};
+
+// Objects merged one beat apart. Any gap setting is at least a beat, so these are all the
+// sections model needs to rebuild its spans without re-reading the map.
+const buildObjectClusters = (starts, ends, redLines) => mergeSpans(
+    Array.from(starts || [], (start, i) => [start, Math.max(start, ends?.[i] ?? start)]),
+    redLines,
+    1
+).map(({ start, end }) => [start, end]);
+
+const getOverlapMs = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+
+// Parts of `range` not covered by any of `cuts`
+const subtractRanges = (range, cuts) => cuts
+    .filter(cut => getOverlapMs(range, cut) > 0)
+    .sort((a, b) => a.start - b.start)
+    .reduce((pieces, cut) => pieces.flatMap(piece => [
+        { start: piece.start, end: Math.min(piece.end, cut.start) },
+        { start: Math.max(piece.start, cut.end), end: piece.end },
+    ].filter(part => part.end > part.start)), [range]);
+
+// Mapped ranges for the sections progress model. Bookmarks and kiai starts/ends split the map
+// into sections that count as a whole once mostly mapped; without any, the mapped spans are used.
+const buildSectionRanges = ({ objectClusters, redLines, kiaiSections, bookmarks, breakPeriods }, durationMs) => {
+    if (!objectClusters?.length || !durationMs) {
+        return [];
+    }
+
+    const spans = mergeSpans(objectClusters, redLines, settings.sectionGapBeats || 4);
+    const firstObject = spans[0].start;
+    const boundaries = [...new Set([
+        ...(bookmarks || []),
+        ...(kiaiSections || []).flatMap(section => [section.start, section.end ?? durationMs]),
+    ])].filter(time => time > firstObject && time < durationMs).sort((a, b) => a - b);
+
+    let mapped = spans;
+    if (boundaries.length) {
+        const edges = [firstObject, ...boundaries, durationMs];
+        mapped = edges.slice(0, -1).flatMap((start, i) => {
+            const section = { start, end: edges[i + 1] };
+            const playable = subtractRanges(section, breakPeriods || []);
+            const playableMs = playable.reduce((sum, piece) => sum + (piece.end - piece.start), 0);
+            const coveredMs = playable.reduce((sum, piece) => sum + spans.reduce((acc, span) => acc + getOverlapMs(piece, span), 0), 0);
+            return playableMs > 0 && coveredMs / playableMs >= SECTION_MAPPED_RATIO ? playable : [];
+        });
+    }
+
+    return mapped.map(range => ({
+        start: Math.min(Math.max(range.start / durationMs, 0), 1),
+        end: Math.min(Math.max(range.end / durationMs, 0), 1),
+        type: 'object',
+    }));
+};
+
+// Length used for highlights before the audio has been decoded
+const getFallbackDurationMs = (hitEnds, breakPeriods, bookmarks) => {
+    const maxObjectTime = hitEnds?.length ? Math.max(...hitEnds) : 0;
+    const maxBreakTime = breakPeriods?.length ? Math.max(...breakPeriods.map(r => r.end)) : 0;
+    const maxBookmarkTime = bookmarks?.length ? Math.max(...bookmarks) : 0;
+    const maxTime = Math.max(maxObjectTime, maxBreakTime, maxBookmarkTime);
+    return maxTime ? maxTime + 1000 : 0;
+};
+
+// Sections only depend on stored data, so a new gap setting applies without re-reading maps
+const recomputeSectionRanges = () => {
+    beatmapItems.forEach((item) => {
+        if (!item.objectClusters?.length) return;
+        const durationMs = item.durationMs
+            || getFallbackDurationMs(item.objectClusters.map(cluster => cluster[1]), item.breakPeriods, item.bookmarks);
+        item.sectionRanges = buildSectionRanges(item, durationMs);
+        item.progress = computeProgress(item.highlights, item.sectionRanges);
+    });
+    renderFromState();
+    scheduleSave();
+};
+
+const computeProgress = (ranges, sectionRanges = null) => {
     if (!ranges.length) {
         return 0;
     }
 
-    const objectRanges = ranges.filter((r) => r.type === 'object' || !r.type);
+    const objectRanges = (settings.progressModel === 'sections' && sectionRanges)
+        ? sectionRanges
+        : ranges.filter((r) => r.type === 'object' || !r.type);
     const breakRanges = ranges.filter((r) => r.type === 'break');
 
     let populated = objectRanges.reduce((sum, r) => sum + (r.end - r.start), 0);
@@ -1509,6 +3001,7 @@ const updateTabCounts = () => {
     const allCountEl = document.querySelector('#allCount');
     const todoCountEl = document.querySelector('#todoCount');
     const completedCountEl = document.querySelector('#completedCount');
+    const calendarCountEl = document.querySelector('#calendarCount');
 
     const visibleItems = beatmapItems.filter(item => !isGuestDifficultyItem(item));
     const visibleAllCount = visibleItems.length;
@@ -1528,12 +3021,34 @@ const updateTabCounts = () => {
     if (allCountEl) allCountEl.textContent = visibleAllCount;
     if (todoCountEl) todoCountEl.textContent = visibleTodoCount;
     if (completedCountEl) completedCountEl.textContent = visibleDoneCount;
+    if (calendarCountEl) calendarCountEl.textContent = getPinnedItems().filter(item => typeof item.deadline === 'number').length;
+
+    (settings.smartLists || []).forEach((list) => {
+        const countEl = document.querySelector(`.tab-count[data-smart-list-id="${CSS.escape(list.id)}"]`);
+        if (countEl) countEl.textContent = getSmartListItems(list).length;
+    });
 };
 
 const updateListItemElement = (itemId) => {
     const listContainer = document.querySelector('#listContainer');
     if (!listContainer) return;
 
+    if (viewMode === 'calendar') {
+        renderCalendarView();
+        return;
+    }
+
+    // The item may have left or joined the smart list
+    if (getActiveSmartList()) {
+        updateTabCounts();
+        renderFromState();
+        return;
+    }
+
+    if (viewMode === 'all') {
+        refreshSetCard(itemId);
+    }
+
     const el = listContainer.querySelector(`[data-item-id="${itemId}"]`);
     if (!el) return;
 
@@ -1541,7 +3056,7 @@ const updateListItemElement = (itemId) => {
     const isDone = doneIds.includes(itemId);
 
     // 1. Update list-box state classes
-    el.classList.toggle('is-pinned', isPinned && viewMode === 'all');
+    el.classList.toggle('is-pinned', isPinned && getViewKind() === 'all');
     el.classList.toggle('is-done', isDone);
 
     // 2. Update Pin Button state
@@ -1572,6 +3087,13 @@ const updateListItemElement = (itemId) => {
         el.dataset.progress = String(item.progress || 0);
     }
 
+    if (item && el._updateCurrentStarTag) {
+        el._updateCurrentStarTag(item.starRating ?? null);
+    }
+    if (item && el._updateIssueTag) {
+        el._updateIssueTag(getRankingIssues(item));
+    }
+
     const durationStat = el.querySelector('.duration-stat');
     if (durationStat && item) {
         durationStat.innerHTML = `<strong>Duration:</strong> ${formatDuration(item.durationMs)}`;
@@ -1597,26 +3119,164 @@ const insertItemIntoCompletedView = (itemId) => {
     renderFromState();
 };
 
-const toggleTodo = (itemId) => {
-    const wasPinned = todoIds.includes(itemId);
-    if (wasPinned) {
-        // Remove from todo list
-        todoIds = todoIds.filter(id => id !== itemId);
-        updateTabCounts();
-        scheduleSave();
+// ============================================
+// Undo / Redo
+// ============================================
+// Each entry holds the state from before a change; undoing swaps it with the current state.
+// Kept in sessionStorage so a reload keeps the history until the window is closed.
+const HISTORY_STORAGE_KEY = 'mosuHistoryV1';
+const HISTORY_LIMIT = 50;
+const UNDO_TOAST_DURATION_MS = 6000;
+const STATUS_TOAST_DURATION_MS = 3000;
+
+let undoStack = [];
+let redoStack = [];
+let undoToastTimer = null;
+let statusToastTimer = null;
+
+// deadlineIds: items whose deadline the change touches; includeItems: the whole item
+// list (only Clear all needs it), stored in the compact storage format
+const captureHistoryState = ({ deadlineIds = [], includeItems = false } = {}) => ({
+    todoIds: [...todoIds],
+    doneIds: [...doneIds],
+    deadlines: Object.fromEntries(deadlineIds.map(id => [id, beatmapItems.find(item => item.id === id)?.deadline ?? null])),
+    items: includeItems ? buildStoragePayload().items : null,
+});
 
-        if (viewMode === 'todo') {
-            // Remove the element from the current view with an animation
-            removeItemFromView(itemId);
-        } else {
-            // Just update the existing element appearance
-            updateListItemElement(itemId);
-        }
-    } else {
-        // Add to todo list (at end)
-        todoIds.push(itemId);
-        updateTabCounts();
-        scheduleSave();
+const persistHistory = () => {
+    try {
+        sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ undoStack, redoStack }));
+    } catch {
+        // A big Clear all snapshot may not fit; the in-memory history still works
+        try { sessionStorage.removeItem(HISTORY_STORAGE_KEY); } catch { /* ignore */ }
+    }
+};
+
+const loadHistory = () => {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY) || 'null');
+        undoStack = Array.isArray(stored?.undoStack) ? stored.undoStack : [];
+        redoStack = Array.isArray(stored?.redoStack) ? stored.redoStack : [];
+    } catch {
+        undoStack = [];
+        redoStack = [];
+    }
+};
+
+// Entries restore whole todo/done lists, so after an import replaces or merges them
+// stepping back past it would silently revert it
+const clearHistory = () => {
+    undoStack = [];
+    redoStack = [];
+    persistHistory();
+};
+
+// Call right before a change so it can be undone
+const recordHistory = (label, options = {}) => {
+    undoStack.push({ label, options, state: captureHistoryState(options) });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    persistHistory();
+};
+
+const applyHistoryState = async (state) => {
+    if (Array.isArray(state.items)) {
+        beatmapItems = await Promise.all(state.items.map(cached => buildItemFromCache(cached, null)));
+        startSongsDirWatcher();
+    }
+    todoIds = [...state.todoIds];
+    doneIds = [...state.doneIds];
+    Object.entries(state.deadlines || {}).forEach(([id, deadline]) => {
+        const item = beatmapItems.find(i => i.id === id);
+        if (item) item.deadline = deadline;
+    });
+
+    updateTabCounts();
+    scheduleSave();
+    renderFromState();
+};
+
+const stepHistory = async (from, to, verb) => {
+    const entry = from.pop();
+    if (!entry) return;
+    to.push({ label: entry.label, options: entry.options, state: captureHistoryState(entry.options) });
+    persistHistory();
+    await applyHistoryState(entry.state);
+    showUndoToast(`${verb}: ${entry.label}`, false);
+};
+
+const undo = () => stepHistory(undoStack, redoStack, 'Undone');
+const redo = () => stepHistory(redoStack, undoStack, 'Redone');
+
+const showUndoToast = (message, withUndo = true) => {
+    const toast = document.querySelector('#undoToast');
+    const messageEl = document.querySelector('#undoToastMessage');
+    const undoBtn = document.querySelector('#undoToastBtn');
+    if (!toast || !messageEl) return;
+
+    messageEl.textContent = message;
+    undoBtn?.classList.toggle('is-hidden', !withUndo);
+    toast.classList.add('is-visible');
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(() => toast.classList.remove('is-visible'), UNDO_TOAST_DURATION_MS);
+};
+
+const hideUndoToast = () => {
+    clearTimeout(undoToastTimer);
+    document.querySelector('#undoToast')?.classList.remove('is-visible');
+};
+
+// Short notices that aren't changes to the library, so they leave a pending undo offer alone
+const showStatusToast = (message) => {
+    const toast = document.querySelector('#statusToast');
+    if (!toast) return;
+
+    toast.textContent = message;
+    toast.classList.add('is-visible');
+    clearTimeout(statusToastTimer);
+    statusToastTimer = setTimeout(() => toast.classList.remove('is-visible'), STATUS_TOAST_DURATION_MS);
+};
+
+const toggleTodo = (itemId) => {
+    const setEntry = String(itemId).startsWith(SET_ID_PREFIX) ? findSetEntry(itemId) : null;
+    recordHistory(setEntry ? (setEntry.isPinned ? 'Unpin set' : 'Pin set') : (todoIds.includes(itemId) ? 'Unpin' : 'Pin'));
+    if (setEntry) {
+        // Pin every open difficulty of the set, or unpin them all if they already are
+        const openIds = setEntry.items.map(item => item.id).filter(id => !doneIds.includes(id));
+        if (setEntry.isPinned) {
+            todoIds = todoIds.filter(id => !openIds.includes(id));
+            showUndoToast(`Unpinned ${openIds.length} difficulties`);
+        } else {
+            openIds.forEach((id) => {
+                if (!todoIds.includes(id)) todoIds.push(id);
+            });
+        }
+        updateTabCounts();
+        scheduleSave();
+        renderFromState();
+        return;
+    }
+
+    const wasPinned = todoIds.includes(itemId);
+    if (wasPinned) {
+        // Remove from todo list
+        todoIds = todoIds.filter(id => id !== itemId);
+        updateTabCounts();
+        scheduleSave();
+        showUndoToast('Removed from Todo');
+
+        if (viewMode === 'todo') {
+            // Remove the element from the current view with an animation
+            removeItemFromView(itemId);
+        } else {
+            // Just update the existing element appearance
+            updateListItemElement(itemId);
+        }
+    } else {
+        // Add to todo list (at end)
+        todoIds.push(itemId);
+        updateTabCounts();
+        scheduleSave();
 
         if (viewMode === 'todo') {
             insertItemIntoTodoView(itemId);
@@ -1628,6 +3288,7 @@ const toggleTodo = (itemId) => {
 
 const toggleDone = (itemId) => {
     const wasDone = doneIds.includes(itemId);
+    recordHistory(wasDone ? 'Mark as not done' : 'Mark as done');
     if (wasDone) {
         // Unmarking as done: remove from done list and return to Todo
         doneIds = doneIds.filter(id => id !== itemId);
@@ -1653,6 +3314,7 @@ const toggleDone = (itemId) => {
 
         updateTabCounts();
         scheduleSave();
+        showUndoToast('Marked as done');
 
         if (viewMode === 'todo') {
             removeItemFromView(itemId);
@@ -1740,23 +3402,288 @@ const sortItems = (items, mode, direction) => {
     return sorted;
 };
 
+// ============================================
+// Search Query Language
+// ============================================
+// Free text plus field terms, all of which must match. A leading '-' negates a term:
+//   artist:camellia creator:me progress<50 sr>5.5 due<7d mode:mania is:todo -is:done
+const SEARCH_TEXT_FIELDS = {
+    artist: item => [item.artist, item.artistUnicode],
+    title: item => [item.title, item.titleUnicode],
+    creator: item => [item.creator],
+    diff: item => [item.version],
+    source: item => [item.source],
+    tag: item => item.labels || [],
+    note: item => [item.notes],
+};
+SEARCH_TEXT_FIELDS.mapper = SEARCH_TEXT_FIELDS.creator;
+SEARCH_TEXT_FIELDS.version = SEARCH_TEXT_FIELDS.diff;
+
+const SEARCH_NUMBER_FIELDS = {
+    progress: item => Math.round((doneIds.includes(item.id) ? 1 : (item.progress || 0)) * 100),
+    sr: item => item.starRating,
+    target: item => item.targetStarRating,
+    bpm: item => item.stats?.bpmMax,
+    // Days until the deadline, negative once overdue
+    due: item => (typeof item.deadline === 'number' ? (item.deadline - Date.now()) / (24 * 60 * 60 * 1000) : null),
+};
+SEARCH_NUMBER_FIELDS.stars = SEARCH_NUMBER_FIELDS.sr;
+
+const SEARCH_DURATION_UNITS_DAYS = { h: 1 / 24, d: 1, w: 7, m: 30 };
+
+const SEARCH_MODE_ALIASES = {
+    osu: 0, std: 0, standard: 0,
+    taiko: 1,
+    catch: 2, ctb: 2, fruits: 2,
+    mania: 3,
+};
+
+const SEARCH_IS_VALUES = {
+    todo: item => todoIds.includes(item.id),
+    pinned: item => todoIds.includes(item.id),
+    done: item => doneIds.includes(item.id),
+    overdue: item => typeof item.deadline === 'number' && item.deadline < Date.now() && !doneIds.includes(item.id),
+    guest: item => isGuestDifficultyName(item),
+};
+
+const SEARCH_HINTS = [
+    { text: 'artist:', description: 'Artist name' },
+    { text: 'title:', description: 'Song title' },
+    { text: 'creator:', description: 'Mapper name, or me' },
+    { text: 'diff:', description: 'Difficulty name' },
+    { text: 'tag:', description: 'Your tags' },
+    { text: 'note:', description: 'Text in your notes' },
+    { text: 'mode:', description: 'osu, taiko, catch or mania' },
+    { text: 'is:', description: 'todo, done, overdue or guest' },
+    { text: 'progress<', description: 'Progress in %, also > or =' },
+    { text: 'sr>', description: 'Star rating' },
+    { text: 'target>', description: 'Target star rating' },
+    { text: 'due<', description: 'Deadline within, e.g. 7d or 2w' },
+    { text: 'bpm>', description: 'Highest BPM' },
+];
+
+const getItemSearchText = (item) => [
+    item.title,
+    item.titleUnicode,
+    item.artist,
+    item.artistUnicode,
+    item.creator,
+    item.version,
+    item.beatmapSetID,
+    ...(item.labels || []),
+    item.notes,
+];
+
+const compareNumber = (value, operator, target) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) return false;
+    switch (operator) {
+        case '<': return value < target;
+        case '<=': return value <= target;
+        case '>': return value > target;
+        case '>=': return value >= target;
+        default: return Math.abs(value - target) < 0.005;
+    }
+};
+
+// Build the predicate for one "field<op>value" term, or null if it isn't one we understand
+const buildFieldPredicate = (field, operator, rawValue) => {
+    const value = rawValue.replace(/^"|"$/g, '').toLowerCase();
+    if (!value) return null;
+
+    if (SEARCH_TEXT_FIELDS[field] && (operator === ':' || operator === '=')) {
+        // creator:me means the mapper the library is scanned for, when one is set
+        const needle = SEARCH_TEXT_FIELDS[field] === SEARCH_TEXT_FIELDS.creator && value === 'me'
+            ? (getEffectiveMapperName().toLowerCase() || value)
+            : value;
+        return item => SEARCH_TEXT_FIELDS[field](item)
+            .filter(Boolean)
+            .some(text => String(text).toLowerCase().includes(needle));
+    }
+
+    if (field === 'mode' && (operator === ':' || operator === '=')) {
+        const mode = SEARCH_MODE_ALIASES[value] ?? (/^[0-3]$/.test(value) ? Number(value) : null);
+        return mode === null ? null : item => (item.mode ?? 0) === mode;
+    }
+
+    if (field === 'is' && (operator === ':' || operator === '=')) {
+        return SEARCH_IS_VALUES[value] || null;
+    }
+
+    if (SEARCH_NUMBER_FIELDS[field]) {
+        let target = parseFloat(value);
+        if (Number.isNaN(target)) return null;
+        if (field === 'due') {
+            const unit = value.match(/[a-z]$/)?.[0] || 'd';
+            if (!SEARCH_DURATION_UNITS_DAYS[unit]) return null;
+            target *= SEARCH_DURATION_UNITS_DAYS[unit];
+        }
+        const op = operator === ':' ? '=' : operator;
+        return item => compareNumber(SEARCH_NUMBER_FIELDS[field](item), op, target);
+    }
+
+    return null;
+};
+
+const parseSearchQuery = (query) => {
+    const tokens = String(query || '').match(/-?(?:[^\s"]+|"[^"]*")+/g) || [];
+    return tokens.flatMap((token) => {
+        const negate = token.length > 1 && token.startsWith('-');
+        const body = negate ? token.slice(1) : token;
+        const match = body.match(/^([a-z]+)(:|<=|>=|<|>|=)(.*)$/i);
+        // A field with no value yet ("artist:") is still being typed, so it filters nothing
+        if (match && !match[3].replace(/"/g, '').trim()) {
+            return [];
+        }
+        const predicate = match ? buildFieldPredicate(match[1].toLowerCase(), match[2], match[3]) : null;
+        if (predicate) {
+            return [{ negate, predicate }];
+        }
+
+        // Anything else is plain text, matched against the usual metadata
+        const needle = body.replace(/"/g, '').toLowerCase();
+        return [{
+            negate,
+            predicate: item => getItemSearchText(item)
+                .filter(Boolean)
+                .some(text => String(text).toLowerCase().includes(needle)),
+        }];
+    });
+};
+
+// Hidden guest difficulties come back when the query asks for them with is:guest
+const queryShowsGuestDifficulties = (query) => (String(query || '').match(/-?(?:[^\s"]+|"[^"]*")+/g) || [])
+    .some(token => /^is[:=]"?guest"?$/i.test(token));
+
+const getGuestVisibilityFilter = (...queries) => (queries.some(queryShowsGuestDifficulties)
+    ? () => true
+    : item => !isGuestDifficultyItem(item));
+
 const filterItems = (items, query) => {
     if (!query) {
         return items;
     }
-    const needle = query.toLowerCase();
-    return items.filter((item) => {
-        return [
-            item.title,
-            item.titleUnicode,
-            item.artist,
-            item.artistUnicode,
-            item.creator,
-            item.version,
-            item.beatmapSetID,
-        ]
-            .filter(Boolean)
-            .some((value) => String(value).toLowerCase().includes(needle));
+    const terms = parseSearchQuery(query);
+    return items.filter(item => terms.every(({ negate, predicate }) => predicate(item) !== negate));
+};
+
+// Suggestions for the term under the caret: field names first, then values for the field
+const getSearchSuggestions = (token) => {
+    const negate = token.startsWith('-') ? '-' : '';
+    const body = token.slice(negate.length).toLowerCase();
+    const fieldMatch = body.match(/^([a-z]+):(.*)$/);
+
+    if (!fieldMatch) {
+        if (!body) return SEARCH_HINTS.map(hint => ({ ...hint, text: negate + hint.text }));
+        return SEARCH_HINTS
+            .filter(hint => hint.text.startsWith(body) && hint.text !== body)
+            .map(hint => ({ ...hint, text: negate + hint.text }));
+    }
+
+    const [, field, partial] = fieldMatch;
+    let values = [];
+    if (field === 'mode') {
+        values = ['osu', 'taiko', 'catch', 'mania'];
+    } else if (field === 'is') {
+        values = ['todo', 'done', 'overdue', 'guest'];
+    } else if (SEARCH_TEXT_FIELDS[field]) {
+        const seen = new Set();
+        beatmapItems.forEach(item => SEARCH_TEXT_FIELDS[field](item).filter(Boolean).forEach(text => seen.add(String(text))));
+        values = [...seen].sort((a, b) => a.localeCompare(b));
+    }
+
+    return values
+        .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+        .slice(0, 8)
+        .map(value => ({ text: `${negate}${field}:${/\s/.test(value) ? `"${value}"` : value}`, description: '' }));
+};
+
+const initSearchHints = (searchInput) => {
+    const hints = document.querySelector('#searchHints');
+    if (!searchInput || !hints) return;
+
+    let suggestions = [];
+    let activeIndex = -1;
+
+    const getTokenRange = () => {
+        const caret = searchInput.selectionStart ?? searchInput.value.length;
+        const before = searchInput.value.slice(0, caret);
+        const start = before.search(/\S*$/);
+        return { start, end: caret, token: before.slice(start) };
+    };
+
+    const close = () => {
+        hints.classList.remove('is-open');
+        suggestions = [];
+        activeIndex = -1;
+    };
+
+    const accept = (suggestion) => {
+        const { start, end } = getTokenRange();
+        // Keep typing the value after a field name, move on to the next term after a value
+        const suffix = /[:<>=]$/.test(suggestion.text) ? '' : ' ';
+        const value = searchInput.value;
+        searchInput.value = value.slice(0, start) + suggestion.text + suffix + value.slice(end).replace(/^\S*/, '');
+        const caret = start + suggestion.text.length + suffix.length;
+        searchInput.setSelectionRange(caret, caret);
+        searchInput.dispatchEvent(new Event('input'));
+        searchInput.focus();
+    };
+
+    const render = () => {
+        hints.innerHTML = '';
+        suggestions.forEach((suggestion, index) => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.classList.add('search-hint');
+            option.classList.toggle('is-active', index === activeIndex);
+            option.setAttribute('role', 'option');
+
+            const text = document.createElement('span');
+            text.classList.add('search-hint-text');
+            text.textContent = suggestion.text;
+            option.appendChild(text);
+            if (suggestion.description) {
+                const description = document.createElement('span');
+                description.classList.add('search-hint-description');
+                description.textContent = suggestion.description;
+                option.appendChild(description);
+            }
+
+            // mousedown so the input keeps focus
+            option.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                accept(suggestion);
+            });
+            hints.appendChild(option);
+        });
+        hints.classList.toggle('is-open', suggestions.length > 0);
+    };
+
+    const update = () => {
+        suggestions = getSearchSuggestions(getTokenRange().token);
+        activeIndex = -1;
+        render();
+    };
+
+    searchInput.addEventListener('input', update);
+    searchInput.addEventListener('focus', update);
+    searchInput.addEventListener('blur', close);
+    searchInput.addEventListener('keydown', (e) => {
+        if (!suggestions.length) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+            render();
+        } else if ((e.key === 'Tab' || e.key === 'Enter') && activeIndex !== -1) {
+            e.preventDefault();
+            accept(suggestions[activeIndex]);
+        } else if (e.key === 'Tab' && suggestions.length === 1) {
+            e.preventDefault();
+            accept(suggestions[0]);
+        } else if (e.key === 'Escape') {
+            close();
+        }
     });
 };
 
@@ -1767,76 +3694,143 @@ const renderFromState = () => {
     }
 
     itemsToRender = [];
-    if (viewMode === 'todo') {
+    const smartList = getActiveSmartList();
+    if (viewMode === 'calendar') {
+        // The calendar is rendered on its own, the list stays empty
+    } else if (smartList) {
+        itemsToRender = filterItems(getSmartListItems(smartList, searchQuery), searchQuery);
+    } else if (viewMode === 'todo') {
         // In TODO mode, we only show items in todoIds (in that specific order) and exclude hidden guest difficulties
-        itemsToRender = todoIds
+        itemsToRender = filterItems(todoIds
             .map(id => beatmapItems.find(item => item.id === id))
             .filter(Boolean)
-            .filter(item => !isGuestDifficultyItem(item));
+            .filter(getGuestVisibilityFilter(searchQuery)), searchQuery);
     } else if (viewMode === 'completed') {
         // In Completed mode, show items that have been marked done in the order of doneIds, excluding hidden
-        itemsToRender = doneIds
+        itemsToRender = filterItems(doneIds
             .map(id => beatmapItems.find(item => item.id === id))
             .filter(Boolean)
-            .filter(item => !isGuestDifficultyItem(item));
+            .filter(getGuestVisibilityFilter(searchQuery)), searchQuery);
     } else {
-        const visibleItems = beatmapItems.filter(item => !isGuestDifficultyItem(item));
+        const visibleItems = beatmapItems.filter(getGuestVisibilityFilter(searchQuery))
+            .filter(item => modeFilter === 'all' || (item.mode ?? 0) === Number(modeFilter));
         const filtered = filterItems(visibleItems, searchQuery);
         itemsToRender = sortItems(filtered, sortState.mode, sortState.direction);
+        if (settings.groupSets) {
+            itemsToRender = groupItemsIntoSets(itemsToRender);
+        }
     }
 
     listContainer.className = '';
     listContainer.classList.add(`view-${viewMode}`);
 
     renderBeatmapList(listContainer, itemsToRender);
+
+    document.querySelector('#calendarView')?.classList.toggle('is-hidden', viewMode !== 'calendar');
+    renderCalendarView();
 };
 
+const HIGHLIGHT_TYPE_CODES = { object: 'o', break: 'b', bookmark: 'k', unsnap: 'u' };
+const HIGHLIGHT_CODE_TYPES = Object.fromEntries(Object.entries(HIGHLIGHT_TYPE_CODES).map(([type, code]) => [code, type]));
+
 const serializeHighlights = (ranges) => ranges.map((range) => ([
     Number(range.start.toFixed(4)),
     Number(range.end.toFixed(4)),
-    range.type === 'break' ? 'b' : (range.type === 'bookmark' ? 'k' : 'o'),
+    HIGHLIGHT_TYPE_CODES[range.type] || 'o',
 ]));
 
 const deserializeHighlights = (ranges) => ranges.map(([start, end, kind]) => ({
     start,
     end,
-    type: kind === 'b' ? 'break' : (kind === 'k' ? 'bookmark' : 'object'),
+    type: HIGHLIGHT_CODE_TYPES[kind] || 'object',
 }));
 
 let saveTimer = null;
+// Set when stored data could neither be loaded nor backed up, so saving would destroy it
+let storageReadOnly = false;
+
+const buildStoragePayload = () => ({
+    version: STORAGE_VERSION,
+    todoIds,
+    doneIds,
+    items: beatmapItems.map((item) => ({
+        id: item.id,
+        filePath: item.filePath,
+        dateAdded: item.dateAdded,
+        dateModified: item.dateModified,
+        title: item.title,
+        titleUnicode: item.titleUnicode,
+        artist: item.artist,
+        artistUnicode: item.artistUnicode,
+        creator: item.creator,
+        version: item.version,
+        beatmapSetID: item.beatmapSetID,
+        audio: item.audio || '',
+        deadline: (typeof item.deadline === 'number' || item.deadline === null) ? item.deadline : null,
+        targetStarRating: (typeof item.targetStarRating === 'number' || item.targetStarRating === null) ? item.targetStarRating : null,
+        timeSpentMs: item.timeSpentMs || 0,
+        sessionCount: item.sessionCount || 0,
+        lastEditAt: item.lastEditAt ?? null,
+        labels: item.labels || [],
+        notes: item.notes || '',
+        starRating: (typeof item.starRating === 'number') ? item.starRating : null,
+        stats: item.stats || null,
+        mode: item.mode ?? 0,
+        source: item.source,
+        tags: item.tags,
+        breakPeriods: item.breakPeriods || [],
+        unsnappedTimes: item.unsnappedTimes || [],
+        bookmarks: item.bookmarks || [],
+        redLines: item.redLines || [],
+        kiaiSections: item.kiaiSections || [],
+        durationMs: (typeof item.durationMs === 'number') ? item.durationMs : null,
+        previewTime: item.previewTime ?? -1,
+        coverPath: item.coverPath || '',
+        highlights: serializeHighlights(item.highlights || []),
+        waveform: item.waveform ?? null,
+        densityProfile: item.densityProfile || [],
+        objectClusters: item.objectClusters || [],
+        sectionRanges: serializeHighlights(item.sectionRanges || []),
+        progress: item.progress || 0,
+        progressHistory: item.progressHistory || [],
+    })),
+});
 
-const saveToStorage = () => {
-    const payload = {
-        version: STORAGE_VERSION,
-        todoIds,
-        doneIds,
-        items: beatmapItems.map((item) => ({
-            id: item.id,
-            filePath: item.filePath,
-            dateAdded: item.dateAdded,
-            dateModified: item.dateModified,
-            title: item.title,
-            titleUnicode: item.titleUnicode,
-            artist: item.artist,
-            artistUnicode: item.artistUnicode,
-            creator: item.creator,
-            version: item.version,
-            beatmapSetID: item.beatmapSetID,
-            audio: item.audio || '',
-            deadline: (typeof item.deadline === 'number' || item.deadline === null) ? item.deadline : null,
-            targetStarRating: (typeof item.targetStarRating === 'number' || item.targetStarRating === null) ? item.targetStarRating : null,
-            durationMs: (typeof item.durationMs === 'number') ? item.durationMs : null,
-            previewTime: item.previewTime ?? -1,
-            coverPath: item.coverPath || '',
-            highlights: serializeHighlights(item.highlights || []),
-            progress: item.progress || 0,
-        })),
-    };
+const saveToStorage = async () => {
+    const payload = buildStoragePayload();
+
+    if (!window.beatmapApi?.saveIndex || storageReadOnly) {
+        return false;
+    }
 
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+        const result = await window.beatmapApi.saveIndex(payload);
+        if (!result?.success) {
+            console.error('Failed to save beatmap index:', result?.error);
+            return false;
+        }
+        return true;
     } catch (error) {
-        // Storage may be full; ignore.
+        console.error('Failed to save beatmap index:', error);
+        return false;
+    }
+};
+
+// Flush a pending debounced save when the window is closing. The page is gone before an
+// async save could finish, so this one blocks until main has written the index.
+const flushPendingSave = () => {
+    if (!saveTimer) return;
+    window.clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!window.beatmapApi?.saveIndexSync || storageReadOnly) return;
+
+    try {
+        const result = window.beatmapApi.saveIndexSync(buildStoragePayload());
+        if (!result?.success) {
+            console.error('Failed to save beatmap index:', result?.error);
+        }
+    } catch (error) {
+        console.error('Failed to save beatmap index:', error);
     }
 };
 
@@ -1845,6 +3839,7 @@ const scheduleSave = () => {
         window.clearTimeout(saveTimer);
     }
     saveTimer = window.setTimeout(() => {
+        saveTimer = null;
         saveToStorage();
         // Trigger embed sync after save (rate-limited)
         if (settings.embedApiKey) {
@@ -1878,6 +3873,7 @@ const buildEmbedPayload = () => {
             version: item.version || 'Unknown',
             progress: item.progress || 0,
             deadline: item.deadline || null,
+            tags: (item.labels || []).map(name => ({ name, color: getLabelColor(name) })),
             beatmapSetID: item.beatmapSetID || null,
             coverUrl: item.beatmapSetID ? `https://assets.ppy.sh/beatmaps/${item.beatmapSetID}/covers/cover.jpg` : null
         }));
@@ -1892,6 +3888,7 @@ const buildEmbedPayload = () => {
             creator: item.creator || 'Unknown',
             version: item.version || 'Unknown',
             progress: 100,
+            tags: (item.labels || []).map(name => ({ name, color: getLabelColor(name) })),
             beatmapSetID: item.beatmapSetID || null,
             coverUrl: item.beatmapSetID ? `https://assets.ppy.sh/beatmaps/${item.beatmapSetID}/covers/cover.jpg` : null
         }));
@@ -2006,23 +4003,6 @@ const triggerManualSync = async () => {
     await performEmbedSync();
 };
 
-const buildItemFromContent = async (filePath, content, stat, existing) => {
-    const metadata = parseMetadata(content);
-    const { hitStarts, hitEnds } = parseHitObjects(content);
-    const breakPeriods = parseBreakPeriods(content);
-    const bookmarks = parseBookmarks(content);
-
-    return processWorkerResult({
-        metadata,
-        hitStarts,
-        hitEnds,
-        breakPeriods,
-        bookmarks,
-        filePath,
-        stat
-    }, existing);
-};
-
 let audioAnalysisQueue = [];
 let isAnalyzingAudio = false;
 let audioAnalysisTotal = 0;
@@ -2067,12 +4047,15 @@ const scheduleAudioAnalysis = (itemId) => {
     }
 };
 
+// Duration and waveform come from the same decode, so items missing either are re-analysed
+const needsAudioAnalysis = (item) => typeof item.durationMs !== 'number' || !Array.isArray(item.waveform);
+
 const processAudioQueue = async () => {
     // If nothing queued yet, build the queue from the current view scope
     if (!isAnalyzingAudio) {
         const scope = getAudioAnalysisScope();
         const audioItems = scope.filter(i => i && i.audio);
-        const pending = audioItems.filter(i => typeof i.durationMs !== 'number').map(i => i.id);
+        const pending = audioItems.filter(needsAudioAnalysis).map(i => i.id);
         audioAnalysisQueue = Array.from(new Set(pending));
         audioAnalysisTotal = audioItems.length;
     }
@@ -2097,27 +4080,24 @@ const processAudioQueue = async () => {
 
         audioAnalysisQueue.shift();
 
-        if (item && typeof item.durationMs !== 'number' && item.audio && item.filePath) {
+        if (item && needsAudioAnalysis(item) && item.audio && item.filePath) {
             try {
                 const folderPath = getDirectoryPath(item.filePath);
                 const audioPath = `${folderPath}${item.audio}`;
                 // Analyze one by one in the background
-                const duration = await getAudioDurationMs(audioPath);
+                const analysis = await analyzeAudioFile(audioPath);
+                const duration = analysis?.durationMs;
 
                 if (duration) {
                     item.durationMs = duration;
-                    // Re-calculate highlights with the correct duration
-                    const file = await window.beatmapApi.readOsuFile(item.filePath);
-                    if (file?.content) {
-                        const { hitStarts, hitEnds } = parseHitObjects(file.content);
-                        const breakPeriods = parseBreakPeriods(file.content);
-                        const bookmarks = parseBookmarks(file.content);
-
-                        const objectRanges = buildHighlightRanges(hitStarts || [], hitEnds || [], duration);
-                        const breakRanges = buildBreakRanges(breakPeriods || [], duration);
-                        const bookmarkRanges = buildBookmarkRanges(bookmarks || [], duration);
-                        item.highlights = [...breakRanges, ...objectRanges, ...bookmarkRanges];
-                        item.progress = computeProgress(item.highlights);
+                    item.waveform = analysis.waveform;
+                    // Re-read the map through the scanner so highlights, sections and history use
+                    // the correct duration and whatever changed in the file since the last scan
+                    const [parsed] = await window.beatmapApi.parseOsuFiles([item.filePath]);
+                    if (parsed?.metadata) {
+                        const updated = await processWorkerResult(parsed, item);
+                        const index = beatmapItems.indexOf(item);
+                        if (index !== -1) beatmapItems[index] = updated;
                     }
 
                     updateListItemElement(item.id);
@@ -2140,8 +4120,72 @@ const processAudioQueue = async () => {
     }
 };
 
-const processWorkerResult = async (file, existing) => {
-    const { metadata, hitStarts, hitEnds, breakPeriods, bookmarks, filePath, stat } = file;
+// Oldest samples are dropped past this, a sample per save is plenty for months of mapping
+const MAX_PROGRESS_SAMPLES = 500;
+
+// History entries are [mtimeMs, progress]. A sample at the same mtime replaces the previous
+// one, so re-scans and audio analysis refine a save's progress instead of duplicating it.
+const recordProgressSample = (history, progress, timeMs) => {
+    const samples = Array.isArray(history) ? [...history] : [];
+    if (!timeMs) {
+        return samples;
+    }
+
+    const last = samples[samples.length - 1];
+    if (last && last[0] === timeMs) {
+        samples[samples.length - 1] = [timeMs, progress];
+    } else if (!last || last[0] < timeMs) {
+        samples.push([timeMs, progress]);
+    }
+    return samples.slice(-MAX_PROGRESS_SAMPLES);
+};
+
+// Editing sessions are inferred from save times: the editor writes the .osu on every
+// test play and on exit, so saves closer together than the gap belong to one session.
+// The lead-in covers the unseen work before a session's first save.
+const SESSION_GAP_MS = 30 * 60 * 1000;
+const SESSION_LEAD_IN_MS = 5 * 60 * 1000;
+
+// `rebaseline`: the mtime changed without an edit (an import, or maps on another machine),
+// so start tracking from it again like a first sighting
+const recordEditingSession = (existing, mtimeMs, rebaseline = false) => {
+    const tracked = {
+        timeSpentMs: existing?.timeSpentMs ?? 0,
+        sessionCount: existing?.sessionCount ?? 0,
+        lastEditAt: existing?.lastEditAt ?? null,
+    };
+
+    // First sighting of a file: its mtime is when it was last saved, not work we watched
+    if (!existing || tracked.lastEditAt === null || rebaseline) {
+        return { ...tracked, lastEditAt: mtimeMs || null };
+    }
+    if (!mtimeMs || mtimeMs <= tracked.lastEditAt) {
+        return tracked;
+    }
+
+    const sinceLastSave = mtimeMs - tracked.lastEditAt;
+    if (sinceLastSave <= SESSION_GAP_MS) {
+        tracked.timeSpentMs += sinceLastSave;
+        // The first sighting's session was never counted; time tracked in it makes it one
+        if (!tracked.sessionCount) tracked.sessionCount = 1;
+    } else {
+        tracked.timeSpentMs += SESSION_LEAD_IN_MS;
+        tracked.sessionCount += 1;
+    }
+    tracked.lastEditAt = mtimeMs;
+    return tracked;
+};
+
+const formatTimeSpent = (ms) => {
+    const totalMinutes = Math.floor((ms || 0) / 60000);
+    if (totalMinutes < 1) return '<1m';
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const processWorkerResult = async (file, existing, { rebaseline = false } = {}) => {
+    const { metadata, hitStarts, hitEnds, breakPeriods, bookmarks, starRating, stats, unsnappedTimes, redLines, kiaiSections, filePath, stat } = file;
     let coverUrl = '';
     let coverPath = '';
     let highlights = [];
@@ -2157,156 +4201,1252 @@ const processWorkerResult = async (file, existing) => {
         }
     }
 
-    const maxObjectTime = hitEnds?.length ? Math.max(...hitEnds) : 0;
-    const maxBreakTime = breakPeriods?.length ? Math.max(...breakPeriods.map(r => r.end)) : 0;
-    const maxBookmarkTime = bookmarks?.length ? Math.max(...bookmarks) : 0;
-
-    const fallbackDuration = Math.max(maxObjectTime, maxBreakTime, maxBookmarkTime)
-        ? Math.max(maxObjectTime, maxBreakTime, maxBookmarkTime) + 1000
-        : 0;
+    const fallbackDuration = getFallbackDurationMs(hitEnds, breakPeriods, bookmarks);
+
+    const sameAudio = existing && existing.audio === metadata.audio;
+    let durationMs = sameAudio ? existing.durationMs : null;
+    const waveform = sameAudio ? (existing.waveform ?? null) : null;
+
+    // During big imports, we SKIP calling analyzeAudioFile synchronously.
+    // It will be handled by the background queue to keep the UI responsive.
+    const totalDuration = durationMs || fallbackDuration;
+    const objectClusters = buildObjectClusters(hitStarts, hitEnds, redLines);
+    let densityProfile = [];
+    let sectionRanges = [];
+    if (totalDuration) {
+        densityProfile = buildDensityProfile(hitStarts, totalDuration);
+        sectionRanges = buildSectionRanges({ objectClusters, redLines, kiaiSections, bookmarks, breakPeriods }, totalDuration);
+        const objectRanges = buildHighlightRanges(hitStarts || [], hitEnds || [], totalDuration);
+        const breakRanges = buildBreakRanges(breakPeriods || [], totalDuration);
+        const bookmarkRanges = buildBookmarkRanges(bookmarks || [], totalDuration);
+        const unsnapRanges = buildUnsnapRanges(unsnappedTimes, totalDuration);
+        highlights = [...breakRanges, ...objectRanges, ...bookmarkRanges, ...unsnapRanges];
+    }
+
+    const item = {
+        ...metadata,
+        durationMs,
+        starRating: starRating ?? null,
+        stats: stats ?? null,
+        breakPeriods: breakPeriods || [],
+        unsnappedTimes: unsnappedTimes || [],
+        bookmarks: bookmarks ? [...bookmarks] : [],
+        redLines: redLines || [],
+        kiaiSections: kiaiSections || [],
+        deadline: existing?.deadline ?? null,
+        targetStarRating: existing?.targetStarRating ?? null,
+        labels: existing?.labels ?? [],
+        notes: existing?.notes ?? '',
+        ...recordEditingSession(existing, stat?.mtimeMs ?? 0, rebaseline),
+        coverUrl,
+        coverPath,
+        highlights,
+        waveform,
+        densityProfile,
+        objectClusters,
+        sectionRanges,
+        progress: computeProgress(highlights, sectionRanges),
+        dateAdded: existing?.dateAdded ?? Date.now(),
+        dateModified: stat?.mtimeMs ?? 0,
+        id: existing?.id ?? createItemId(filePath),
+        filePath,
+    };
+    // Sampled as time coverage whatever the model, so switching models can't mix scales.
+    // A new mtime that isn't an edit is no save, so it adds no sample.
+    item.progressHistory = rebaseline
+        ? [...(existing?.progressHistory || [])]
+        : recordProgressSample(existing?.progressHistory, computeProgress(highlights), item.dateModified);
+
+    if (needsAudioAnalysis(item) && metadata.audio && filePath) {
+        scheduleAudioAnalysis(item.id);
+    }
+
+    return item;
+};
+
+const buildItemFromCache = async (cached, stat) => {
+    let coverUrl = '';
+    if (cached.coverPath && window.beatmapApi?.readImage) {
+        try {
+            coverUrl = await window.beatmapApi.readImage(cached.coverPath);
+        } catch (err) {
+            console.warn(`Failed to read cached background image: ${cached.coverPath}`, err);
+            coverUrl = '';
+        }
+    }
+
+    return {
+        ...cached,
+        coverUrl,
+        highlights: cached.highlights ? deserializeHighlights(cached.highlights) : [],
+        sectionRanges: cached.sectionRanges ? deserializeHighlights(cached.sectionRanges) : [],
+        dateModified: stat?.mtimeMs ?? cached.dateModified ?? 0,
+        id: cached.id ?? createItemId(cached.filePath),
+    };
+};
+
+// Storage migrations, keyed by the version they upgrade FROM.
+// Each step receives a payload at `version` and returns one at `version + 1`.
+// Bump STORAGE_VERSION and add a step here whenever the stored format changes.
+// Forget cached mtimes so every map is re-parsed once when the scanner worker
+// starts returning a new field, instead of the field staying empty until the map is edited
+const forceReparse = (payload) => ({
+    ...payload,
+    items: (payload.items || []).map(item => ({ ...item, dateModified: 0 })),
+});
+
+const STORAGE_MIGRATIONS = {
+    // v2: everything the scanner worker now returns (star rating, difficulty stats, mode,
+    // breaks, unsnapped objects, red lines, kiai, bookmarks) and the density-based highlights
+    1: forceReparse,
+};
+
+const showStorageError = (message, backupPath = null, title = "Couldn't load your saved maps") => {
+    const dialog = document.querySelector('#storageErrorPrompt');
+    const titleEl = document.querySelector('#storageErrorTitle');
+    const messageEl = document.querySelector('#storageErrorMessage');
+    const showBackupBtn = document.querySelector('#storageErrorShowBackup');
+    console.error('Storage problem:', message, backupPath || '');
+    if (!dialog || !messageEl) {
+        return Promise.resolve();
+    }
+
+    if (titleEl) titleEl.textContent = title;
+    messageEl.textContent = backupPath
+        ? `${message} A copy of your previous data was kept at: ${backupPath}`
+        : message;
+    if (showBackupBtn) {
+        showBackupBtn.classList.toggle('is-hidden', !backupPath);
+    }
+
+    return new Promise((resolve) => {
+        const onShowBackup = () => {
+            if (backupPath && window.beatmapApi?.showItemInFolder) {
+                window.beatmapApi.showItemInFolder(backupPath);
+            }
+        };
+        const cleanup = async () => {
+            await closeDialogWithAnimation(dialog);
+            showBackupBtn?.removeEventListener('click', onShowBackup);
+            dialog.removeEventListener('submit', onClose);
+            dialog.removeEventListener('cancel', onClose);
+            resolve();
+        };
+        const onClose = async (event) => {
+            event.preventDefault();
+            await cleanup();
+        };
+
+        dialog.showModal();
+        showBackupBtn?.addEventListener('click', onShowBackup);
+        dialog.addEventListener('submit', onClose, { once: true });
+        dialog.addEventListener('cancel', onClose, { once: true });
+    });
+};
+
+// Write the untouched payload next to the index before we change or drop it.
+// Returns the backup path, or null (and locks saving) when no copy could be made.
+const backupStoredPayload = async (stored, label) => {
+    if (window.beatmapApi?.backupIndex) {
+        try {
+            const result = await window.beatmapApi.backupIndex(stored, label);
+            if (result?.success) {
+                return result.path;
+            }
+        } catch (error) {
+            console.error('Failed to back up stored data:', error);
+        }
+    }
+    storageReadOnly = true;
+    return null;
+};
+
+// Run the migration steps from the payload's version up to STORAGE_VERSION; throws on failure
+const applyStorageMigrations = (stored) => {
+    const fromVersion = Number(stored?.version);
+    if (!Number.isInteger(fromVersion) || fromVersion < 1 || fromVersion > STORAGE_VERSION) {
+        throw new Error(`Unsupported format v${stored?.version}`);
+    }
+    let payload = stored;
+    for (let version = fromVersion; version < STORAGE_VERSION; version++) {
+        const migrate = STORAGE_MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from format v${version}`);
+        }
+        payload = migrate(payload);
+        payload.version = version + 1;
+    }
+    if (!Array.isArray(payload.items)) {
+        throw new Error('Migrated data has no item list');
+    }
+    return payload;
+};
+
+// Upgrade a stored payload to STORAGE_VERSION one step at a time.
+// Returns { payload, migrated } or null after reporting the failure to the user.
+// Every failure locks saving: the app starts empty, and saving that would replace the index.
+const migrateStoredPayload = async (stored) => {
+    const fromVersion = Number(stored?.version);
+    if (fromVersion === STORAGE_VERSION && Array.isArray(stored.items)) {
+        return { payload: stored, migrated: false };
+    }
+
+    const backupPath = await backupStoredPayload(stored, `v${Number.isFinite(fromVersion) ? fromVersion : 'unknown'}`);
+    const lockedNote = ' Saving is disabled for this session so the original data is not overwritten.';
+
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        storageReadOnly = true;
+        await showStorageError(`Your saved maps use an unrecognised format.${lockedNote}`, backupPath);
+        return null;
+    }
+    if (fromVersion > STORAGE_VERSION) {
+        storageReadOnly = true;
+        await showStorageError(`Your saved maps were written by a newer version of mosu! (format v${fromVersion}).${lockedNote}`, backupPath);
+        return null;
+    }
+
+    let payload = stored;
+    try {
+        payload = applyStorageMigrations(stored);
+    } catch (error) {
+        storageReadOnly = true;
+        await showStorageError(`Upgrading your saved maps from format v${fromVersion} failed: ${error.message}.${lockedNote}`, backupPath);
+        return null;
+    }
+
+    return { payload, migrated: true };
+};
+
+// Read the stored payload from the main-process index, falling back to the
+// legacy localStorage blob (which is migrated on the next successful save).
+const readStoredPayload = async () => {
+    if (window.beatmapApi?.loadIndex) {
+        try {
+            const result = await window.beatmapApi.loadIndex();
+            if (result?.payload) {
+                return { stored: result.payload, source: 'index' };
+            }
+            if (result?.error) {
+                if (!result.backupPath) storageReadOnly = true;
+                await showStorageError(
+                    `The saved map index could not be read (${result.error}).` +
+                    (result.backupPath ? '' : ' Saving is disabled for this session so the file is not overwritten.'),
+                    result.backupPath || null,
+                );
+                return { stored: null, source: null };
+            }
+        } catch (error) {
+            console.error('Failed to read beatmap index:', error);
+        }
+    }
+
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) {
+        return { stored: null, source: null };
+    }
+    try {
+        return { stored: JSON.parse(raw), source: 'localStorage' };
+    } catch (error) {
+        // The legacy blob stays in localStorage untouched; it is only removed after a successful migration
+        await showStorageError('Your previously saved maps could not be read and were not imported.');
+        return { stored: null, source: null };
+    }
+};
+
+const loadFromStorage = async () => {
+    const { stored: rawStored, source } = await readStoredPayload();
+    if (!rawStored) {
+        return;
+    }
+    const migration = await migrateStoredPayload(rawStored);
+    if (!migration) {
+        return;
+    }
+    const stored = migration.payload;
+    todoIds = stored.todoIds || [];
+    doneIds = stored.doneIds || [];
+    updateTabCounts();
+
+    setLoading(true);
+    try {
+        const { items, reparseFailedCount } = await hydrateStoredItems(stored.items);
+        beatmapItems = items;
+        updateTabCounts();
+        renderFromState();
+        processAudioQueue();
+
+        if (reparseFailedCount) {
+            await showStorageError(
+                `${reparseFailedCount} map${reparseFailedCount === 1 ? '' : 's'} could not be re-read. Their saved data was kept and they will be re-read on the next start.`,
+                null,
+                "Some maps couldn't be updated",
+            );
+        }
+
+        // Persist upgraded data right away; drop the legacy localStorage copy once the index file holds it.
+        // An upgrade whose re-parse failed is not saved, so the next start retries it from the original data.
+        if (source === 'localStorage' || (migration.migrated && !reparseFailedCount)) {
+            const saved = await saveToStorage();
+            if (saved && source === 'localStorage') {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        }
+    } finally {
+        setLoading(false);
+    }
+};
+
+// Turn stored item records back into live items: reuse the cache when the file
+// is unchanged, otherwise re-read it. Items whose file is gone are dropped.
+// Returns { items, missingCount, reparseFailedCount }; items that could not be
+// re-read keep their cached record so deadlines, notes and history survive.
+// Imports pass `rebaseline`: their files were copied or remapped, so a changed mtime says
+// nothing about editing and must not count as a session or a progress sample
+const hydrateStoredItems = async (storedItems, { rebaseline = false } = {}) => {
+    const items = [];
+    const total = storedItems.length;
+    let processed = 0;
+    updateProgress(0, total);
+
+    let lastYield = performance.now();
+    const CONCURRENCY = 12; // Higher concurrency for startup stats/images
+    const taskQueue = [...storedItems];
+    const staleItems = new Map();
+    let missingCount = 0;
+    let reparseFailedCount = 0;
+
+    const processNext = async () => {
+        while (taskQueue.length > 0) {
+            const cached = taskQueue.shift();
+
+            if (!cached?.filePath) {
+                processed += 1;
+                updateProgress(processed, total);
+                continue;
+            }
+
+            let stat = null;
+            if (window.beatmapApi?.statFile) {
+                try {
+                    stat = await window.beatmapApi.statFile(cached.filePath);
+                } catch (error) {
+                    stat = null;
+                }
+            }
+
+            if (stat && cached.dateModified === stat.mtimeMs && cached.highlights) {
+                const item = await buildItemFromCache(cached, stat);
+                items.push(item);
+            } else if (stat) {
+                // Changed since last run: re-parse in one worker batch below
+                staleItems.set(cached.filePath, cached);
+                continue;
+            } else {
+                missingCount += 1;
+            }
+
+            processed += 1;
+            updateProgress(processed, total);
+
+            if (performance.now() - lastYield > 16) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = performance.now();
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(CONCURRENCY, taskQueue.length) }, () => processNext());
+    await Promise.all(workers);
+
+    if (staleItems.size) {
+        const reparsed = new Set();
+        try {
+            const files = window.beatmapApi?.parseOsuFiles
+                ? await window.beatmapApi.parseOsuFiles([...staleItems.keys()])
+                : [];
+            for (const file of files) {
+                try {
+                    items.push(await processWorkerResult(file, staleItems.get(file.filePath), { rebaseline }));
+                    reparsed.add(file.filePath);
+                } catch (error) {
+                    console.error(`Failed to process beatmap: ${file.filePath}`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to re-parse changed beatmaps:', error);
+        }
+
+        // Keep the cached record (and its old mtime, so it is re-read next time) for anything not re-parsed
+        for (const [filePath, cached] of staleItems) {
+            if (reparsed.has(filePath)) continue;
+            reparseFailedCount += 1;
+            items.push(await buildItemFromCache(cached, null));
+        }
+    }
+    updateProgress(total, total);
+
+    return { items, missingCount, reparseFailedCount };
+};
+
+// ============================================
+// Statistics
+// ============================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEATMAP_WEEKS = 53;
+const HEATMAP_LEVELS = 4;
+
+const startOfDay = (timeMs) => {
+    const date = new Date(timeMs);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+};
+
+const getItemLabel = (item) => `${item.artistUnicode || item.artist} - ${item.titleUnicode || item.title} [${item.version}]`;
+
+// Saves and progress gained per local day, across every tracked map. A history starts when
+// the map is first scanned, so that sample is only a baseline: importing a finished map is
+// not a save, and its existing progress was not gained that day.
+const collectDailyActivity = () => {
+    const days = new Map();
+    beatmapItems.forEach((item) => {
+        const [first, ...samples] = item.progressHistory || [];
+        let previous = first?.[1] ?? 0;
+        samples.forEach(([time, progress]) => {
+            const day = startOfDay(time);
+            const entry = days.get(day) || { saves: 0, gained: 0, itemIds: new Set() };
+            entry.saves += 1;
+            entry.gained += Math.max(0, progress - previous);
+            entry.itemIds.add(item.id);
+            days.set(day, entry);
+            previous = progress;
+        });
+    });
+    return days;
+};
+
+const renderStatsSummary = (container, days) => {
+    const weekStart = startOfDay(Date.now()) - 6 * DAY_MS;
+    let saves = 0;
+    let gained = 0;
+    const itemIds = new Set();
+    days.forEach((entry, day) => {
+        if (day < weekStart) return;
+        saves += entry.saves;
+        gained += entry.gained;
+        entry.itemIds.forEach(id => itemIds.add(id));
+    });
+
+    const stats = [
+        ['Saves this week', saves],
+        ['Maps worked on', itemIds.size],
+        ['Progress gained', `${Math.round(gained * 100)}%`],
+        ['Active days', [...days.keys()].filter(day => day >= weekStart).length],
+    ];
+
+    container.innerHTML = '';
+    stats.forEach(([label, value]) => {
+        const stat = document.createElement('div');
+        stat.classList.add('stats-summary-item');
+        const valueEl = document.createElement('span');
+        valueEl.classList.add('stats-summary-value');
+        valueEl.textContent = value;
+        const labelEl = document.createElement('span');
+        labelEl.classList.add('stats-summary-label');
+        labelEl.textContent = label;
+        stat.appendChild(valueEl);
+        stat.appendChild(labelEl);
+        container.appendChild(stat);
+    });
+};
+
+// GitHub-style grid: one column per week, Sunday on top, today in the last column
+const renderActivityHeatmap = (container, days) => {
+    const today = startOfDay(Date.now());
+    const firstDay = today - ((HEATMAP_WEEKS - 1) * 7 + new Date(today).getDay()) * DAY_MS;
+    const maxSaves = Math.max(1, ...[...days.values()].map(entry => entry.saves));
+
+    container.innerHTML = '';
+    for (let day = firstDay; day <= today; day = startOfDay(day + DAY_MS * 1.5)) {
+        const entry = days.get(day);
+        const cell = document.createElement('div');
+        cell.classList.add('heatmap-cell');
+        const level = entry ? Math.ceil((entry.saves / maxSaves) * HEATMAP_LEVELS) : 0;
+        cell.dataset.level = String(level);
+
+        const dateLabel = new Date(day).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+        cell.title = entry
+            ? `${dateLabel}: ${entry.saves} save${entry.saves === 1 ? '' : 's'} on ${entry.itemIds.size} map${entry.itemIds.size === 1 ? '' : 's'}, +${Math.round(entry.gained * 100)}%`
+            : `${dateLabel}: no activity`;
+        container.appendChild(cell);
+    }
+};
+
+const renderProgressCurve = (canvas, item) => {
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const padding = { top: 10, right: 10, bottom: 20, left: 36 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    ctx.font = '10px Torus, sans-serif';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.lineWidth = 1;
+    [0, 0.25, 0.5, 0.75, 1].forEach((fraction) => {
+        const y = padding.top + plotHeight * (1 - fraction);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+        ctx.fillText(`${fraction * 100}%`, 4, y + 3);
+    });
+
+    const samples = item?.progressHistory || [];
+    if (!samples.length) {
+        ctx.fillText('No saves recorded yet', padding.left + 8, padding.top + plotHeight / 2);
+        return;
+    }
+
+    // Extend the curve to now so the flat stretch since the last save is visible
+    const start = samples[0][0];
+    const end = Math.max(Date.now(), start + DAY_MS);
+    const toX = (time) => padding.left + ((time - start) / (end - start)) * plotWidth;
+    const toY = (progress) => padding.top + plotHeight * (1 - Math.min(Math.max(progress, 0), 1));
+
+    ctx.fillText(new Date(start).toLocaleDateString(), padding.left, height - 6);
+    const endLabel = new Date(end).toLocaleDateString();
+    ctx.fillText(endLabel, width - padding.right - ctx.measureText(endLabel).width, height - 6);
+
+    ctx.strokeStyle = 'rgb(63, 155, 106)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    samples.forEach(([time, progress], index) => {
+        const x = toX(time);
+        const y = toY(progress);
+        if (index === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, toY(samples[index - 1][1]));
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.lineTo(toX(end), toY(samples[samples.length - 1][1]));
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgb(63, 155, 106)';
+    samples.forEach(([time, progress]) => {
+        ctx.beginPath();
+        ctx.arc(toX(time), toY(progress), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+};
+
+const openStatsDialog = (itemId = null) => {
+    const dialog = document.querySelector('#statsDialog');
+    const summary = document.querySelector('#statsSummary');
+    const heatmap = document.querySelector('#activityHeatmap');
+    const mapSelect = document.querySelector('#statsMapSelect');
+    const curve = document.querySelector('#progressCurve');
+    if (!dialog || !summary || !heatmap || !mapSelect || !curve) return;
+
+    const days = collectDailyActivity();
+    renderStatsSummary(summary, days);
+    renderActivityHeatmap(heatmap, days);
+
+    // Most recently worked on first
+    const tracked = beatmapItems
+        .filter(item => item.progressHistory?.length)
+        .sort((a, b) => b.progressHistory[b.progressHistory.length - 1][0] - a.progressHistory[a.progressHistory.length - 1][0]);
+
+    mapSelect.innerHTML = '';
+    tracked.forEach((item) => {
+        const option = document.createElement('option');
+        option.value = item.id;
+        option.textContent = getItemLabel(item);
+        mapSelect.appendChild(option);
+    });
+    mapSelect.disabled = tracked.length === 0;
+    if (itemId && tracked.some(item => item.id === itemId)) {
+        mapSelect.value = itemId;
+    }
+
+    const drawSelected = () => renderProgressCurve(curve, beatmapItems.find(item => item.id === mapSelect.value));
+    mapSelect.onchange = drawSelected;
+
+    dialog.showModal();
+    drawSelected();
+};
+
+// ============================================
+// Timeline Inspector
+// ============================================
+const INSPECTOR_LABEL_WIDTH = 80;
+const INSPECTOR_RULER_HEIGHT = 20;
+const INSPECTOR_LANES = [
+    { id: 'objects', label: 'Objects', height: 48 },
+    { id: 'breaks', label: 'Breaks', height: 18 },
+    { id: 'bookmarks', label: 'Bookmarks', height: 18 },
+    { id: 'kiai', label: 'Kiai', height: 18 },
+    { id: 'timing', label: 'Timing', height: 18 },
+];
+const INSPECTOR_WAVEFORM_POINTS = 8192;
+const INSPECTOR_MIN_SPAN_MS = 500;
+const INSPECTOR_RULER_STEPS_MS = [100, 250, 500, 1000, 2000, 5000, 10000, 15000, 30000, 60000];
+// Pixels from the cursor that count as hovering a bookmark, red line or object
+const INSPECTOR_HOVER_PX = 4;
+
+let inspectorState = null;
+
+const getInspectorLane = (y) => {
+    let top = INSPECTOR_RULER_HEIGHT;
+    for (const lane of INSPECTOR_LANES) {
+        if (y >= top && y < top + lane.height) return { ...lane, top };
+        top += lane.height;
+    }
+    return null;
+};
+
+const getInspectorHeight = () => INSPECTOR_RULER_HEIGHT + INSPECTOR_LANES.reduce((sum, lane) => sum + lane.height, 0);
+
+const inspectorTimeToX = (time, width) => {
+    const { viewStart, viewEnd } = inspectorState;
+    return INSPECTOR_LABEL_WIDTH + ((time - viewStart) / (viewEnd - viewStart)) * (width - INSPECTOR_LABEL_WIDTH);
+};
+
+const inspectorXToTime = (x, width) => {
+    const { viewStart, viewEnd } = inspectorState;
+    return viewStart + ((x - INSPECTOR_LABEL_WIDTH) / (width - INSPECTOR_LABEL_WIDTH)) * (viewEnd - viewStart);
+};
+
+const setInspectorView = (start, end) => {
+    const { durationMs } = inspectorState;
+    const span = Math.min(durationMs, Math.max(INSPECTOR_MIN_SPAN_MS, end - start));
+    const clampedStart = Math.min(Math.max(0, start), Math.max(0, durationMs - span));
+    inspectorState.viewStart = clampedStart;
+    inspectorState.viewEnd = clampedStart + span;
+};
+
+const zoomInspector = (factor, anchorTime) => {
+    const { viewStart, viewEnd } = inspectorState;
+    const anchor = anchorTime ?? (viewStart + viewEnd) / 2;
+    setInspectorView(anchor - (anchor - viewStart) * factor, anchor + (viewEnd - anchor) * factor);
+    renderInspector();
+};
+
+const getInspectorPlayheadMs = () => {
+    if (!inspectorState || AudioController.currentId !== inspectorState.itemId) return null;
+    return AudioController.audio.currentTime * 1000;
+};
+
+const renderInspector = () => {
+    const canvas = document.querySelector('#inspectorCanvas');
+    if (!canvas || !inspectorState) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = getInspectorHeight();
+    canvas.style.height = `${height}px`;
+    if (canvas.width !== width * dpr || canvas.height !== height * dpr) {
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '10px Torus, sans-serif';
+
+    const { data, viewStart, viewEnd, durationMs } = inspectorState;
+    const toX = (time) => inspectorTimeToX(time, width);
+    const isVisible = (start, end = start) => end >= viewStart && start <= viewEnd;
+
+    // Ruler
+    const msPerPx = (viewEnd - viewStart) / (width - INSPECTOR_LABEL_WIDTH);
+    const step = INSPECTOR_RULER_STEPS_MS.find(candidate => candidate / msPerPx >= 80) || 60000;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    for (let time = Math.ceil(viewStart / step) * step; time <= viewEnd; time += step) {
+        const x = Math.round(toX(time)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, INSPECTOR_RULER_HEIGHT - 6);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillText(formatEditorTimestamp(time), x + 3, 12);
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(INSPECTOR_LABEL_WIDTH, 0, width - INSPECTOR_LABEL_WIDTH, height);
+    ctx.clip();
+
+    let top = INSPECTOR_RULER_HEIGHT;
+    INSPECTOR_LANES.forEach((lane) => {
+        const mid = top + lane.height / 2;
+        if (lane.id === 'objects') {
+            // Waveform behind the objects, one bar per pixel column
+            const waveform = data?.waveform;
+            if (waveform?.length) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.14)';
+                for (let x = INSPECTOR_LABEL_WIDTH; x < width; x++) {
+                    const from = Math.floor((inspectorXToTime(x, width) / durationMs) * waveform.length);
+                    const to = Math.max(from + 1, Math.floor((inspectorXToTime(x + 1, width) / durationMs) * waveform.length));
+                    let peak = 0;
+                    for (let i = Math.max(0, from); i < Math.min(waveform.length, to); i++) {
+                        if (waveform[i] > peak) peak = waveform[i];
+                    }
+                    const barHeight = Math.max(1, (peak / 100) * lane.height);
+                    ctx.fillRect(x, mid - barHeight / 2, 1, barHeight);
+                }
+            }
+            ctx.fillStyle = 'rgb(63, 155, 106)';
+            (data?.objects || []).forEach(([start, end]) => {
+                if (!isVisible(start, end)) return;
+                const x = toX(start);
+                ctx.fillRect(x, mid - lane.height * 0.3, Math.max(2, toX(end) - x), lane.height * 0.6);
+            });
+            ctx.fillStyle = 'rgb(214, 64, 64)';
+            (data?.unsnaps || []).forEach((time) => {
+                if (isVisible(time)) ctx.fillRect(Math.round(toX(time)) - 1, top + 2, 2, lane.height - 4);
+            });
+        } else if (lane.id === 'breaks') {
+            ctx.fillStyle = 'rgba(73, 159, 113, 0.6)';
+            (data?.breaks || []).forEach((range) => {
+                if (isVisible(range.start, range.end)) ctx.fillRect(toX(range.start), top + 3, toX(range.end) - toX(range.start), lane.height - 6);
+            });
+        } else if (lane.id === 'bookmarks') {
+            ctx.fillStyle = 'rgba(67, 145, 255, 0.8)';
+            (data?.bookmarks || []).forEach((time) => {
+                if (isVisible(time)) ctx.fillRect(Math.round(toX(time)) - 1, top + 3, 2, lane.height - 6);
+            });
+        } else if (lane.id === 'kiai') {
+            ctx.fillStyle = KIAI_COLOR;
+            (data?.kiai || []).forEach((range) => {
+                const end = range.end ?? durationMs;
+                if (isVisible(range.start, end)) ctx.fillRect(toX(range.start), top + 3, toX(end) - toX(range.start), lane.height - 6);
+            });
+        } else if (lane.id === 'timing') {
+            let lastLabelX = -Infinity;
+            (data?.redLines || []).forEach((line) => {
+                if (!isVisible(line.time)) return;
+                const x = Math.round(toX(line.time));
+                ctx.fillStyle = RED_LINE_COLOR;
+                ctx.fillRect(x - 1, top + 3, 2, lane.height - 6);
+                if (x - lastLabelX > 60) {
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                    ctx.fillText(`${Math.round(60000 / line.beatLength)} BPM`, x + 4, mid + 3);
+                    lastLabelX = x;
+                }
+            });
+        }
+        top += lane.height;
+    });
+
+    const playhead = getInspectorPlayheadMs();
+    if (playhead !== null && isVisible(playhead)) {
+        ctx.fillStyle = 'white';
+        ctx.fillRect(Math.round(toX(playhead)) - 1, INSPECTOR_RULER_HEIGHT, 2, height - INSPECTOR_RULER_HEIGHT);
+    }
+    ctx.restore();
+
+    // Lane labels
+    top = INSPECTOR_RULER_HEIGHT;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    INSPECTOR_LANES.forEach((lane) => {
+        ctx.fillText(lane.label, 4, top + lane.height / 2 + 3);
+        top += lane.height;
+    });
+    if (!data) {
+        ctx.fillText('Loading...', INSPECTOR_LABEL_WIDTH + 8, INSPECTOR_RULER_HEIGHT + 28);
+    }
+
+    const timeLabel = document.querySelector('#inspectorTime');
+    if (timeLabel) timeLabel.textContent = formatEditorTimestamp(playhead ?? viewStart);
+    const playBtn = document.querySelector('#inspectorPlayBtn');
+    if (playBtn) playBtn.textContent = playhead !== null && AudioController.isPlaying ? 'Pause' : 'Play';
+};
+
+const describeInspectorPoint = (time, lane, width) => {
+    const { data, durationMs } = inspectorState;
+    const nearTime = (target) => Math.abs(inspectorTimeToX(target, width) - inspectorTimeToX(time, width)) <= INSPECTOR_HOVER_PX;
+    const span = (start, end) => `${formatEditorTimestamp(start)} - ${formatEditorTimestamp(end)}`;
+
+    if (!data || !lane) return '';
+    switch (lane.id) {
+        case 'objects': {
+            const object = data.objects.find(([start, end]) => (time >= start && time <= end) || nearTime(start));
+            return object ? `Object ${buildEditorReference(object[0], object[2] ? [object[2]] : [])}` : '';
+        }
+        case 'breaks': {
+            const range = data.breaks.find(r => time >= r.start && time <= r.end);
+            return range ? `Break ${span(range.start, range.end)}` : '';
+        }
+        case 'bookmarks': {
+            const bookmark = data.bookmarks.find(nearTime);
+            return bookmark !== undefined ? `Bookmark at ${formatEditorTimestamp(bookmark)}` : '';
+        }
+        case 'kiai': {
+            const range = data.kiai.find(r => time >= r.start && time <= (r.end ?? durationMs));
+            return range ? `Kiai ${span(range.start, range.end ?? durationMs)}` : '';
+        }
+        case 'timing': {
+            const line = [...data.redLines].reverse().find(l => l.time <= time) || data.redLines[0];
+            return line ? `${Math.round(60000 / line.beatLength * 100) / 100} BPM from ${formatEditorTimestamp(line.time)}` : '';
+        }
+        default:
+            return '';
+    }
+};
+
+const updateInspectorTooltip = (event) => {
+    const canvas = document.querySelector('#inspectorCanvas');
+    const tooltip = document.querySelector('#inspectorTooltip');
+    if (!canvas || !tooltip || !inspectorState) return;
+
+    const rect = canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    if (x < INSPECTOR_LABEL_WIDTH || y < INSPECTOR_RULER_HEIGHT) {
+        tooltip.classList.add('is-hidden');
+        return;
+    }
+
+    const time = inspectorXToTime(x, rect.width);
+    const detail = describeInspectorPoint(time, getInspectorLane(y), rect.width);
+    tooltip.textContent = detail ? `${formatEditorTimestamp(time)} · ${detail}` : formatEditorTimestamp(time);
+    tooltip.classList.remove('is-hidden');
+    const left = Math.min(x + 12, rect.width - tooltip.offsetWidth - 4);
+    tooltip.style.left = `${Math.max(0, left)}px`;
+    tooltip.style.top = `${y + 14}px`;
+};
+
+// Redraw while the preview plays, following the playhead when it leaves the view. Once it
+// stops, one last frame leaves the playhead where it paused; view and data changes redraw
+// on their own.
+const tickInspector = () => {
+    if (!inspectorState) return;
+    const playhead = getInspectorPlayheadMs();
+    const isPlaying = playhead !== null && AudioController.isPlaying;
+    if (isPlaying) {
+        const { viewStart, viewEnd } = inspectorState;
+        if (playhead > viewEnd || playhead < viewStart) {
+            setInspectorView(playhead, playhead + (viewEnd - viewStart));
+        }
+    }
+    renderInspector();
+    inspectorState.frame = isPlaying ? requestAnimationFrame(tickInspector) : null;
+};
+
+const startInspectorTick = () => {
+    if (!inspectorState || inspectorState.frame) return;
+    inspectorState.frame = requestAnimationFrame(tickInspector);
+};
 
-    let durationMs = (existing && existing.audio === metadata.audio) ? existing.durationMs : null;
+const loadInspectorData = async (item) => {
+    const [parsed] = await window.beatmapApi?.parseOsuFiles?.([item.filePath], { editorObjects: true }) ?? [];
+    if (!parsed?.editorObjects) return null;
 
-    // During big imports, we SKIP calling getAudioDurationMs synchronously.
-    // It will be handled by the background queue to keep the UI responsive.
-    const totalDuration = durationMs || fallbackDuration;
-    if (totalDuration) {
-        const objectRanges = buildHighlightRanges(hitStarts || [], hitEnds || [], totalDuration);
-        const breakRanges = buildBreakRanges(breakPeriods || [], totalDuration);
-        const bookmarkRanges = buildBookmarkRanges(bookmarks || [], totalDuration);
-        highlights = [...breakRanges, ...objectRanges, ...bookmarkRanges];
-    }
+    return {
+        objects: parsed.editorObjects,
+        breaks: parsed.breakPeriods || [],
+        bookmarks: parsed.bookmarks || [],
+        kiai: parsed.kiaiSections || [],
+        redLines: parsed.redLines || [],
+        unsnaps: item.unsnappedTimes || [],
+        waveform: null,
+    };
+};
 
-    const item = {
-        ...metadata,
-        durationMs,
-        deadline: existing?.deadline ?? null,
-        targetStarRating: existing?.targetStarRating ?? null,
-        coverUrl,
-        coverPath,
-        highlights,
-        progress: computeProgress(highlights),
-        dateAdded: existing?.dateAdded ?? Date.now(),
-        dateModified: stat?.mtimeMs ?? 0,
-        id: existing?.id ?? createItemId(filePath),
-        filePath,
+const openTimelineInspector = async (itemId) => {
+    const dialog = document.querySelector('#timelineInspectorDialog');
+    const item = beatmapItems.find(i => i.id === itemId);
+    if (!dialog || !item) return;
+
+    const title = document.querySelector('#inspectorTitle');
+    if (title) title.textContent = getItemLabel(item);
+
+    inspectorState = {
+        itemId,
+        data: null,
+        durationMs: item.durationMs || 1,
+        viewStart: 0,
+        viewEnd: item.durationMs || 1,
+        frame: null,
     };
+    dialog.showModal();
+    renderInspector();
+    startInspectorTick();
+
+    const data = await loadInspectorData(item);
+    if (inspectorState?.itemId !== itemId) return;
+    if (data) {
+        const durationMs = item.durationMs || getFallbackDurationMs(data.objects.map(([, end]) => end), data.breaks, data.bookmarks) || 1;
+        inspectorState.data = data;
+        inspectorState.durationMs = durationMs;
+        setInspectorView(0, durationMs);
+        renderInspector();
+    }
 
-    if (!durationMs && metadata.audio && filePath) {
-        scheduleAudioAnalysis(item.id);
+    // Full-resolution waveform, decoded only while the inspector is open
+    if (data && item.audio) {
+        const audioBuffer = await decodeAudioFile(`${getDirectoryPath(item.filePath)}${item.audio}`);
+        if (inspectorState?.itemId !== itemId || !audioBuffer) return;
+        data.waveform = buildWaveform(audioBuffer, INSPECTOR_WAVEFORM_POINTS);
+        renderInspector();
     }
+};
 
-    return item;
+const closeTimelineInspector = () => {
+    if (!inspectorState) return;
+    cancelAnimationFrame(inspectorState.frame);
+    if (AudioController.currentId === inspectorState.itemId) {
+        AudioController.stop();
+    }
+    inspectorState = null;
 };
 
-const buildItemFromCache = async (cached, stat) => {
-    let coverUrl = '';
-    if (cached.coverPath && window.beatmapApi?.readImage) {
-        try {
-            coverUrl = await window.beatmapApi.readImage(cached.coverPath);
-        } catch (err) {
-            console.warn(`Failed to read cached background image: ${cached.coverPath}`, err);
-            coverUrl = '';
+const initTimelineInspector = () => {
+    const dialog = document.querySelector('#timelineInspectorDialog');
+    const canvas = document.querySelector('#inspectorCanvas');
+    const tooltip = document.querySelector('#inspectorTooltip');
+    if (!dialog || !canvas) return;
+
+    document.querySelector('#closeInspectorBtn')?.addEventListener('click', () => closeDialogWithAnimation(dialog));
+    dialog.addEventListener('click', (event) => {
+        if (event.target === dialog) closeDialogWithAnimation(dialog);
+    });
+    dialog.addEventListener('close', closeTimelineInspector);
+
+    document.querySelector('#inspectorZoomIn')?.addEventListener('click', () => zoomInspector(0.5, getInspectorPlayheadMs()));
+    document.querySelector('#inspectorZoomOut')?.addEventListener('click', () => zoomInspector(2, getInspectorPlayheadMs()));
+    document.querySelector('#inspectorZoomFit')?.addEventListener('click', () => {
+        if (!inspectorState) return;
+        setInspectorView(0, inspectorState.durationMs);
+        renderInspector();
+    });
+    document.querySelector('#inspectorPlayBtn')?.addEventListener('click', () => {
+        if (!inspectorState) return;
+        if (getInspectorPlayheadMs() === null) {
+            AudioController.play(inspectorState.itemId, null, inspectorState.viewStart);
+        } else if (AudioController.isPlaying) {
+            AudioController.audio.pause();
+        } else {
+            AudioController.play(inspectorState.itemId);
         }
-    }
+    });
 
-    return {
-        ...cached,
-        coverUrl,
-        highlights: cached.highlights ? deserializeHighlights(cached.highlights) : [],
-        dateModified: stat?.mtimeMs ?? cached.dateModified ?? 0,
-        id: cached.id ?? createItemId(cached.filePath),
-    };
+    // Wheel zooms around the cursor, Shift+wheel pans
+    canvas.addEventListener('wheel', (event) => {
+        if (!inspectorState) return;
+        event.preventDefault();
+        const rect = canvas.getBoundingClientRect();
+        const { viewStart, viewEnd } = inspectorState;
+        if (event.shiftKey) {
+            const shift = ((event.deltaY || event.deltaX) / rect.width) * (viewEnd - viewStart);
+            setInspectorView(viewStart + shift, viewEnd + shift);
+            renderInspector();
+        } else {
+            const anchor = inspectorXToTime(Math.max(INSPECTOR_LABEL_WIDTH, event.clientX - rect.left), rect.width);
+            zoomInspector(Math.exp(event.deltaY * 0.0015), anchor);
+        }
+    }, { passive: false });
+
+    // Drag pans; a click without movement plays from that point
+    let drag = null;
+    canvas.addEventListener('mousedown', (event) => {
+        if (!inspectorState || event.button !== 0) return;
+        drag = { x: event.clientX, viewStart: inspectorState.viewStart, viewEnd: inspectorState.viewEnd, moved: false };
+    });
+    window.addEventListener('mousemove', (event) => {
+        if (!drag || !inspectorState) return;
+        const dx = event.clientX - drag.x;
+        if (Math.abs(dx) > 3) drag.moved = true;
+        if (!drag.moved) return;
+        const msPerPx = (drag.viewEnd - drag.viewStart) / (canvas.clientWidth - INSPECTOR_LABEL_WIDTH);
+        setInspectorView(drag.viewStart - dx * msPerPx, drag.viewEnd - dx * msPerPx);
+        renderInspector();
+    });
+    window.addEventListener('mouseup', (event) => {
+        if (!drag) return;
+        const wasClick = !drag.moved;
+        drag = null;
+        if (!wasClick || !inspectorState) return;
+        const rect = canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        if (x < INSPECTOR_LABEL_WIDTH) return;
+        AudioController.play(inspectorState.itemId, null, inspectorXToTime(x, rect.width));
+    });
+
+    // Right-click copies or opens the hovered object, bookmark or point in time
+    canvas.addEventListener('contextmenu', (event) => {
+        if (!inspectorState) return;
+        const rect = canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        if (x < INSPECTOR_LABEL_WIDTH) return;
+        const time = inspectorXToTime(x, rect.width);
+        const msPerPx = (inspectorState.viewEnd - inspectorState.viewStart) / (rect.width - INSPECTOR_LABEL_WIDTH);
+        const lane = getInspectorLane(event.clientY - rect.top);
+        const { data, itemId } = inspectorState;
+
+        if (lane?.id === 'objects' && data) {
+            const object = data.objects.find(([start, end]) => (time >= start && time <= end) || Math.abs(start - time) <= INSPECTOR_HOVER_PX * msPerPx);
+            if (object) {
+                showTimestampMenu(event, { itemId, time: object[0], combos: object[2] ? [object[2]] : [] });
+                return;
+            }
+        }
+        const bookmark = lane?.id === 'bookmarks' ? findNearbyTime(data?.bookmarks, time, msPerPx, INSPECTOR_HOVER_PX) : undefined;
+        showTimestampMenu(event, { itemId, time: bookmark ?? time });
+    });
+
+    canvas.addEventListener('mousemove', updateInspectorTooltip);
+    canvas.addEventListener('mouseleave', () => tooltip?.classList.add('is-hidden'));
+    window.addEventListener('resize', () => renderInspector());
 };
 
-const loadFromStorage = async () => {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) {
-        return;
+// ============================================
+// Backup Export / Import
+// ============================================
+const BACKUP_FORMAT = 'mosu-backup';
+// Per-install identity and the embed secret never leave this machine, so two PCs don't sync as one
+const BACKUP_PRIVATE_SETTINGS = ['embedApiKey', 'userId'];
+
+const omitPrivateSettings = (source) => Object.fromEntries(
+    Object.entries(source || {}).filter(([key]) => !BACKUP_PRIVATE_SETTINGS.includes(key)),
+);
+
+const buildBackup = () => ({
+    format: BACKUP_FORMAT,
+    exportedAt: new Date().toISOString(),
+    songsDir: settings.songsDir,
+    data: buildStoragePayload(),
+    settings: omitPrivateSettings(settings),
+});
+
+const exportBackup = async () => {
+    if (!window.beatmapApi?.exportBackup) return;
+    const result = await window.beatmapApi.exportBackup(buildBackup());
+    if (result && !result.success) {
+        await showStorageError(`The backup could not be written: ${result.error}.`, null, 'Export failed');
     }
-    let stored = null;
-    try {
-        stored = JSON.parse(raw);
-    } catch (error) {
+};
+
+// Move a path recorded under one Songs folder to the same place under another
+const remapSongsPath = (filePath, fromDir, toDir) => {
+    if (!filePath || !fromDir || !toDir) return filePath;
+    const normalize = (value) => value.replace(/\\/g, '/').replace(/\/+$/, '');
+    const from = normalize(fromDir);
+    const normalizedPath = normalize(filePath);
+    if (!normalizedPath.toLowerCase().startsWith(`${from.toLowerCase()}/`)) return filePath;
+
+    const separator = toDir.includes('\\') ? '\\' : '/';
+    const relative = normalizedPath.slice(from.length + 1).split('/').join(separator);
+    return `${toDir.replace(/[\\/]+$/, '')}${separator}${relative}`;
+};
+
+// Ask how to apply a backup. Resolves { mode: 'merge' | 'replace', songsDir } or null.
+const promptImportMode = (backup, payload) => new Promise((resolve) => {
+    const dialog = document.querySelector('#importPrompt');
+    const summary = document.querySelector('#importSummary');
+    const dirLabel = document.querySelector('#importSongsDirLabel');
+    const dirBtn = document.querySelector('#importSongsDirBtn');
+    const cancelBtn = document.querySelector('#importCancel');
+    const mergeBtn = document.querySelector('#importMerge');
+    if (!dialog) {
+        resolve(null);
         return;
     }
-    if (!stored || stored.version !== STORAGE_VERSION || !Array.isArray(stored.items)) {
-        return;
+
+    let songsDir = settings.songsDir || backup.songsDir || null;
+    const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleDateString() : 'an unknown date';
+    const todoCount = (payload.todoIds || []).length;
+    const doneCount = (payload.doneIds || []).length;
+    if (summary) {
+        summary.textContent = `This backup from ${exportedAt} has ${payload.items.length} maps, ${todoCount} in Todo and ${doneCount} completed.`
+            + (backup.songsDir ? ` Its maps were in "${backup.songsDir}".` : '');
     }
-    todoIds = stored.todoIds || [];
-    doneIds = stored.doneIds || [];
-    updateTabCounts();
+    const updateDirLabel = () => {
+        if (dirLabel) dirLabel.textContent = songsDir || 'Not selected';
+    };
+    updateDirLabel();
+
+    const onSelectDir = async () => {
+        if (!window.beatmapApi?.selectDirectory) return;
+        const dir = await window.beatmapApi.selectDirectory();
+        if (dir) {
+            songsDir = dir;
+            updateDirLabel();
+        }
+    };
+    const cleanup = async (choice) => {
+        await closeDialogWithAnimation(dialog);
+        dirBtn?.removeEventListener('click', onSelectDir);
+        cancelBtn?.removeEventListener('click', onCancel);
+        mergeBtn?.removeEventListener('click', onMerge);
+        dialog.removeEventListener('submit', onReplace);
+        dialog.removeEventListener('cancel', onCancel);
+        resolve(choice);
+    };
+    const onCancel = async () => { await cleanup(null); };
+    const onMerge = async () => { await cleanup({ mode: 'merge', songsDir }); };
+    const onReplace = async (event) => {
+        event.preventDefault();
+        await cleanup({ mode: 'replace', songsDir });
+    };
 
-    setLoading(true);
-    try {
-        const items = [];
-        const total = stored.items.length;
-        let processed = 0;
-        updateProgress(0, total);
+    dialog.showModal();
+    dirBtn?.addEventListener('click', onSelectDir);
+    cancelBtn?.addEventListener('click', onCancel, { once: true });
+    mergeBtn?.addEventListener('click', onMerge, { once: true });
+    dialog.addEventListener('submit', onReplace, { once: true });
+    dialog.addEventListener('cancel', onCancel, { once: true });
+});
 
-        let lastYield = performance.now();
-        const CONCURRENCY = 12; // Higher concurrency for startup stats/images
-        const taskQueue = [...stored.items];
+// Merge imported items and lists into the current state. Local items win for
+// maps present on both sides; only their empty deadline / target star rating are filled in,
+// tags are combined, empty notes are filled in, the larger tracked editing time is kept and the progress histories are combined.
+const mergeImportedState = (importedItems, importedTodoIds, importedDoneIds) => {
+    const localByPath = new Map();
+    beatmapItems.forEach(item => { if (item.filePath) localByPath.set(item.filePath, item); });
+    const usedIds = new Set(beatmapItems.map(item => item.id));
+    const idMap = new Map();
+
+    importedItems.forEach((item) => {
+        const local = localByPath.get(item.filePath);
+        if (local) {
+            if (local.deadline == null && item.deadline != null) local.deadline = item.deadline;
+            if (local.targetStarRating == null && item.targetStarRating != null) local.targetStarRating = item.targetStarRating;
+            local.timeSpentMs = Math.max(local.timeSpentMs || 0, item.timeSpentMs || 0);
+            local.sessionCount = Math.max(local.sessionCount || 0, item.sessionCount || 0);
+            if (item.labels?.length) {
+                const known = new Set((local.labels || []).map(label => label.toLowerCase()));
+                local.labels = [...(local.labels || []), ...item.labels.filter(label => !known.has(label.toLowerCase()))];
+            }
+            if (!local.notes && item.notes) local.notes = item.notes;
+            if (item.progressHistory?.length) {
+                const samples = new Map([...item.progressHistory, ...(local.progressHistory || [])]);
+                local.progressHistory = [...samples].sort((a, b) => a[0] - b[0]).slice(-MAX_PROGRESS_SAMPLES);
+            }
+            idMap.set(item.id, local.id);
+            return;
+        }
 
-        const processNext = async () => {
-            while (taskQueue.length > 0) {
-                const cached = taskQueue.shift();
+        let id = item.id;
+        if (usedIds.has(id)) {
+            id = createItemId(item.filePath);
+            if (usedIds.has(id)) id = createItemId('');
+            idMap.set(item.id, id);
+        }
+        usedIds.add(id);
+        beatmapItems.push({ ...item, id });
+    });
 
-                if (!cached?.filePath) {
-                    processed += 1;
-                    updateProgress(processed, total);
-                    continue;
-                }
+    const mapId = (id) => idMap.get(id) ?? id;
+    const doneSet = new Set(doneIds);
+    (importedDoneIds || []).map(mapId).forEach((id) => {
+        if (!doneSet.has(id)) {
+            doneIds.push(id);
+            doneSet.add(id);
+        }
+    });
+    todoIds = todoIds.filter(id => !doneSet.has(id));
+    const todoSet = new Set(todoIds);
+    (importedTodoIds || []).map(mapId).forEach((id) => {
+        if (!todoSet.has(id) && !doneSet.has(id)) {
+            todoIds.push(id);
+            todoSet.add(id);
+        }
+    });
+};
 
-                let stat = null;
-                if (window.beatmapApi?.statFile) {
-                    try {
-                        stat = await window.beatmapApi.statFile(cached.filePath);
-                    } catch (error) {
-                        stat = null;
-                    }
-                }
+// Resolves to true when the backup's settings replaced the current ones
+const importBackup = async () => {
+    if (!window.beatmapApi?.importBackup) return false;
+    const result = await window.beatmapApi.importBackup();
+    if (!result) return false;
+
+    const backup = result.backup;
+    if (result.error || backup?.format !== BACKUP_FORMAT || !backup?.data) {
+        await showStorageError(
+            result.error ? `The backup could not be read: ${result.error}.` : 'This file is not a mosu! backup.',
+            null,
+            'Import failed',
+        );
+        return false;
+    }
 
-                if (stat && cached.dateModified === stat.mtimeMs && cached.highlights) {
-                    const item = await buildItemFromCache(cached, stat);
-                    items.push(item);
-                } else if (window.beatmapApi?.readOsuFile) {
-                    try {
-                        const file = await window.beatmapApi.readOsuFile(cached.filePath);
-                        if (file?.content) {
-                            const item = await buildItemFromContent(
-                                cached.filePath,
-                                file.content,
-                                file.stat,
-                                cached,
-                            );
-                            items.push(item);
-                        }
-                    } catch (error) {
-                        // Skip
-                    }
-                }
+    let payload;
+    try {
+        payload = applyStorageMigrations(backup.data);
+    } catch (error) {
+        await showStorageError(`This backup could not be upgraded to the current format: ${error.message}.`, null, 'Import failed');
+        return false;
+    }
 
-                processed += 1;
-                updateProgress(processed, total);
+    const choice = await promptImportMode(backup, payload);
+    if (!choice) return false;
 
-                if (performance.now() - lastYield > 16) {
-                    await new Promise(resolve => setTimeout(resolve, 0));
-                    lastYield = performance.now();
+    const fromDir = backup.songsDir;
+    const toDir = choice.songsDir;
+    const storedItems = payload.items.map(item => ({
+        ...item,
+        filePath: remapSongsPath(item.filePath, fromDir, toDir),
+        coverPath: remapSongsPath(item.coverPath, fromDir, toDir),
+    }));
+
+    let settingsReplaced = false;
+    let missingCount = 0;
+    setLoading(true);
+    try {
+        const hydrated = await hydrateStoredItems(storedItems, { rebaseline: true });
+        const importedItems = hydrated.items;
+        missingCount = hydrated.missingCount;
+
+        if (choice.mode === 'replace') {
+            beatmapItems = importedItems;
+            todoIds = payload.todoIds || [];
+            doneIds = payload.doneIds || [];
+            if (backup.settings && typeof backup.settings === 'object') {
+                settings = { ...settings, ...omitPrivateSettings(backup.settings) };
+                settingsReplaced = true;
+                applyListItemHeight(settings.listItemHeight || 240);
+                AudioController.updateVolume();
+                if (getActiveSmartList() === null && String(viewMode).startsWith(SMART_LIST_PREFIX)) {
+                    viewMode = 'all';
                 }
+                renderSmartListTabs();
             }
-        };
+        } else {
+            mergeImportedState(importedItems, payload.todoIds, payload.doneIds);
+        }
 
-        const workers = Array.from({ length: Math.min(CONCURRENCY, taskQueue.length) }, () => processNext());
-        await Promise.all(workers);
+        if (toDir) settings.songsDir = toDir;
+        persistSettings();
+        clearHistory();
 
-        beatmapItems = items;
         updateTabCounts();
         renderFromState();
+        scheduleSave();
         processAudioQueue();
+        startSongsDirWatcher();
+        if (settingsReplaced) syncDeadlineNotifications();
     } finally {
         setLoading(false);
     }
+
+    if (missingCount) {
+        await showStorageError(
+            `${missingCount} map${missingCount === 1 ? ' was' : 's were'} not found in your Songs folder and ${missingCount === 1 ? 'was' : 'were'} skipped, along with ${missingCount === 1 ? 'its' : 'their'} deadlines and target star ratings.`,
+            null,
+            'Import finished with skipped maps',
+        );
+    }
+    return settingsReplaced;
 };
 
 const updateSortUI = () => {
@@ -2332,7 +5472,32 @@ const updateSortUI = () => {
 
 let audioContext = null;
 
-const getAudioDurationMs = async (filePath) => {
+// Peaks per track kept for the timeline waveform, stored as 0-100
+const WAVEFORM_POINTS = 256;
+
+const buildWaveform = (audioBuffer, points = WAVEFORM_POINTS) => {
+    const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+    const samplesPerPoint = Math.max(1, Math.floor(audioBuffer.length / points));
+    // Sampling every few frames is plenty for a peak and keeps long tracks fast
+    const stride = Math.max(1, Math.floor(samplesPerPoint / 2000));
+    const peaks = [];
+    for (let point = 0; point < points; point++) {
+        const from = point * samplesPerPoint;
+        const to = Math.min(audioBuffer.length, from + samplesPerPoint);
+        let peak = 0;
+        for (let i = from; i < to; i += stride) {
+            for (const data of channels) {
+                const value = Math.abs(data[i]);
+                if (value > peak) peak = value;
+            }
+        }
+        peaks.push(peak);
+    }
+    const max = Math.max(...peaks) || 1;
+    return peaks.map(peak => Math.round((peak / max) * 100));
+};
+
+const decodeAudioFile = async (filePath) => {
     if (!filePath || !window.beatmapApi?.readBinary) {
         return null;
     }
@@ -2360,20 +5525,31 @@ const getAudioDurationMs = async (filePath) => {
             return null;
         }
 
-        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer.slice(0));
-        return audioBuffer.duration * 1000;
+        return await audioContext.decodeAudioData(arrayBuffer.slice(0));
     } catch (error) {
         return null;
     }
 };
 
+// Decode the track once for both its duration and its waveform
+const analyzeAudioFile = async (filePath) => {
+    const audioBuffer = await decodeAudioFile(filePath);
+    if (!audioBuffer) {
+        return null;
+    }
+    return {
+        durationMs: audioBuffer.duration * 1000,
+        waveform: buildWaveform(audioBuffer),
+    };
+};
+
 const AudioController = {
     audio: new Audio(),
     currentId: null,
     isPlaying: false,
 
     init() {
-        this.audio.addEventListener('play', () => { this.isPlaying = true; this.startTick(); });
+        this.audio.addEventListener('play', () => { this.isPlaying = true; this.startTick(); startInspectorTick(); });
         this.audio.addEventListener('pause', () => { this.isPlaying = false; });
         this.audio.addEventListener('ended', () => { this.isPlaying = false; });
         this.audio.addEventListener('error', (e) => {
@@ -2389,7 +5565,7 @@ const AudioController = {
         }
     },
 
-    async play(itemId, percentage = null) {
+    async play(itemId, percentage = null, timeMs = null) {
         const item = beatmapItems.find(i => i.id === itemId);
         if (!item || !item.audio || !item.filePath) return;
 
@@ -2398,9 +5574,10 @@ const AudioController = {
             try {
                 const folderPath = getDirectoryPath(item.filePath);
                 const audioPath = `${folderPath}${item.audio}`;
-                const duration = await getAudioDurationMs(audioPath);
-                if (duration) {
-                    item.durationMs = duration;
+                const analysis = await analyzeAudioFile(audioPath);
+                if (analysis?.durationMs) {
+                    item.durationMs = analysis.durationMs;
+                    item.waveform = analysis.waveform;
                     updateListItemElement(item.id);
                     scheduleSave();
                 }
@@ -2431,7 +5608,9 @@ const AudioController = {
         }
 
         // Determine seek time
-        if (percentage !== null) {
+        if (timeMs !== null) {
+            this.audio.currentTime = Math.max(0, timeMs) / 1000;
+        } else if (percentage !== null) {
             if (item.durationMs) {
                 this.audio.currentTime = percentage * (item.durationMs / 1000);
             }
@@ -2521,15 +5700,11 @@ const loadBeatmapFromDialog = async () => {
         const items = [];
 
         for (const file of result.files) {
-            if (!file?.content) {
+            if (!file?.metadata) {
                 continue;
             }
 
-            const item = await buildItemFromContent(
-                file.filePath,
-                file.content,
-                file.stat,
-            );
+            const item = await processWorkerResult(file);
             items.push(item);
         }
 
@@ -2672,7 +5847,7 @@ const refreshLastDirectory = async () => {
     try {
         if (Array.isArray(beatmapItems) && beatmapItems.length) {
             beatmapItems.forEach(item => {
-                if (item && item.audio && !item.durationMs) {
+                if (item && item.audio && needsAudioAnalysis(item)) {
                     scheduleAudioAnalysis(item.id);
                 }
             });
@@ -2705,6 +5880,140 @@ const refreshLastDirectory = async () => {
     }
 };
 
+// (Re)start the main-process watcher for the songs folder with the current mapper filter.
+const startSongsDirWatcher = () => {
+    if (!window.beatmapApi?.watchSongsDir) return;
+
+    if (!settings.watchSongsDir || !settings.songsDir) {
+        window.beatmapApi.unwatchSongsDir();
+        return;
+    }
+
+    const knownFiles = {};
+    beatmapItems.forEach(item => {
+        if (item.filePath) knownFiles[item.filePath] = item.dateModified;
+    });
+
+    const mapperName = (getEffectiveMapperName() || '').trim() || null;
+    window.beatmapApi.watchSongsDir(settings.songsDir, mapperName, knownFiles);
+};
+
+// Hand the notification settings to the main-process deadline scheduler
+const syncDeadlineNotifications = () => {
+    if (!window.beatmapApi?.setDeadlineNotifications) return;
+    window.beatmapApi.setDeadlineNotifications({
+        enabled: settings.deadlineNotifications,
+        leadDays: settings.deadlineLeadDays,
+    });
+};
+
+// "3, 1" -> [3, 1]; ignores anything that isn't a whole number of days
+const parseLeadDays = (text) => [...new Set(String(text)
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter(days => Number.isInteger(days) && days >= 0))]
+    .sort((a, b) => b - a);
+
+// Shown when a deadline notification is clicked
+const showDeadlineReminder = ({ itemId, title }) => {
+    const dialog = document.querySelector('#deadlineReminderPrompt');
+    const titleEl = document.querySelector('#deadlineReminderTitle');
+    const messageEl = document.querySelector('#deadlineReminderMessage');
+    const snoozeBtn = document.querySelector('#deadlineReminderSnooze');
+    const item = beatmapItems.find(i => i.id === itemId);
+    if (!dialog || !item || dialog.open) return;
+
+    if (titleEl) titleEl.textContent = title || 'Deadline reminder';
+    if (messageEl) {
+        const due = new Date(item.deadline).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        messageEl.textContent = `${item.artistUnicode || item.artist} - ${item.titleUnicode || item.title} [${item.version}] is due ${due} and is ${Math.round((item.progress || 0) * 100)}% done.`;
+    }
+
+    const onSnooze = async () => {
+        window.beatmapApi?.snoozeDeadline?.(itemId);
+        await cleanup();
+    };
+    const cleanup = async () => {
+        await closeDialogWithAnimation(dialog);
+        snoozeBtn?.removeEventListener('click', onSnooze);
+        dialog.removeEventListener('submit', onShowTodo);
+        dialog.removeEventListener('cancel', onCancel);
+    };
+    const onShowTodo = async (event) => {
+        event.preventDefault();
+        await cleanup();
+        if (viewMode !== 'todo') {
+            document.querySelector('.tab-button[data-tab="todo"]')?.click();
+        }
+    };
+    const onCancel = async (event) => {
+        event.preventDefault();
+        await cleanup();
+    };
+
+    dialog.showModal();
+    snoozeBtn?.addEventListener('click', onSnooze);
+    dialog.addEventListener('submit', onShowTodo, { once: true });
+    dialog.addEventListener('cancel', onCancel, { once: true });
+};
+
+// Apply incremental add/update/remove events pushed by the songs folder watcher
+const applySongsDirChanges = async (events) => {
+    if (!Array.isArray(events) || !events.length) return;
+
+    const existingItemsMap = new Map();
+    beatmapItems.forEach(item => { if (item.filePath) existingItemsMap.set(item.filePath, item); });
+
+    const removedPaths = new Set();
+    const updatedIds = [];
+    let listChanged = false;
+
+    for (const event of events) {
+        if (event.type === 'remove') {
+            if (existingItemsMap.has(event.filePath)) {
+                removedPaths.add(event.filePath);
+                existingItemsMap.delete(event.filePath);
+                listChanged = true;
+            }
+            continue;
+        }
+
+        const file = event.file;
+        if (!file?.filePath) continue;
+        const existing = existingItemsMap.get(file.filePath);
+
+        try {
+            const item = await processWorkerResult(file, existing);
+            if (existing) {
+                const index = beatmapItems.indexOf(existing);
+                if (index !== -1) beatmapItems[index] = item;
+                updatedIds.push(item.id);
+            } else {
+                beatmapItems.push(item);
+                listChanged = true;
+            }
+            existingItemsMap.set(file.filePath, item);
+        } catch (err) {
+            console.error(`Failed to process watched beatmap: ${file.filePath}`, err);
+        }
+    }
+
+    if (removedPaths.size) {
+        // Like "Clear all", keep todo/done ids so the maps come back if the files reappear
+        beatmapItems = beatmapItems.filter(item => !removedPaths.has(item.filePath));
+    }
+
+    updateTabCounts();
+    if (listChanged) {
+        renderFromState();
+    } else {
+        updatedIds.forEach(id => updateListItemElement(id));
+    }
+    scheduleSave();
+    processAudioQueue();
+};
+
 const loadBeatmapsByMapper = async () => {
     if (!window.beatmapApi?.openMapperOsuFiles) {
         return;
@@ -2815,7 +6124,6 @@ const init = async () => {
     const aboutDialog = document.querySelector('#aboutDialog');
     const aboutBtn = document.querySelector('#aboutBtn');
     const closeAboutBtn = document.querySelector('#closeAboutBtn');
-    const tabButtons = document.querySelectorAll('.tab-button');
     const closeSettingsBtn = document.querySelector('#closeSettingsBtn');
     const selectSongsDirBtn = document.querySelector('#selectSongsDirBtn');
     const rescanNameInput = document.getElementById('rescanMapperName');
@@ -2826,10 +6134,7 @@ const init = async () => {
         if (raw) {
             try {
                 settings = { ...settings, ...JSON.parse(raw) };
-                const height = settings.listItemHeight || 240;
-                VIRTUAL_ITEM_HEIGHT = height + 12;
-                document.documentElement.style.setProperty('--list-item-height', `${height}px`);
-                document.documentElement.style.setProperty('--title-lines', height > 160 ? 4 : 2);
+                applyListItemHeight(settings.listItemHeight || 240);
             } catch (e) { }
         }
         // Generate userId if not present (first run)
@@ -2868,8 +6173,25 @@ const init = async () => {
 
         const ignoreStartAndBreaks = document.querySelector('#ignoreStartAndBreaks');
         const ignoreGuests = document.querySelector('#ignoreGuestDifficulties');
+        const watchSongsDir = document.querySelector('#watchSongsDir');
+        const groupSets = document.querySelector('#groupSets');
+        if (groupSets) groupSets.checked = settings.groupSets;
         if (ignoreStartAndBreaks) ignoreStartAndBreaks.checked = settings.ignoreStartAndBreaks;
+
+        const progressModel = document.querySelector('#progressModel');
+        const sectionGapBeats = document.querySelector('#sectionGapBeats');
+        if (progressModel) progressModel.value = settings.progressModel;
+        if (sectionGapBeats) {
+            sectionGapBeats.value = settings.sectionGapBeats;
+            sectionGapBeats.disabled = settings.progressModel !== 'sections';
+        }
         if (ignoreGuests) ignoreGuests.checked = settings.ignoreGuestDifficulties;
+        if (watchSongsDir) watchSongsDir.checked = settings.watchSongsDir;
+
+        const deadlineNotifications = document.querySelector('#deadlineNotifications');
+        const deadlineLeadDays = document.querySelector('#deadlineLeadDays');
+        if (deadlineNotifications) deadlineNotifications.checked = settings.deadlineNotifications;
+        if (deadlineLeadDays) deadlineLeadDays.value = (settings.deadlineLeadDays || []).join(', ');
 
         const volumeSlider = document.querySelector('#previewVolume');
         if (volumeSlider) volumeSlider.value = settings.volume ?? 0.5;
@@ -2916,14 +6238,21 @@ const init = async () => {
     };
 
     // Tab Listeners
-    tabButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const tab = btn.dataset.tab;
-            if (tab === viewMode) return;
-            viewMode = tab;
-            tabButtons.forEach(b => b.classList.toggle('is-active', b.dataset.tab === viewMode));
-            renderFromState();
-        });
+    // Delegated so smart list tabs added later work too
+    document.querySelector('.tabs-bar')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.tab-button');
+        if (!btn) return;
+        if (e.target.closest('[data-action="remove-smart-list"]')) {
+            removeSmartList(btn.dataset.tab.slice(SMART_LIST_PREFIX.length));
+            return;
+        }
+        switchTab(btn.dataset.tab);
+    });
+
+    document.querySelector('#saveSmartListBtn')?.addEventListener('click', async () => {
+        setHeaderMenuOpen(false);
+        const name = await promptSmartListName();
+        if (name) saveSmartList(name);
     });
 
     // Upload Listeners
@@ -3103,13 +6432,14 @@ const init = async () => {
                     settings.songsDir = dir;
                     saveSettings();
                     updateSettingsUI();
+                    startSongsDirWatcher();
                 }
             }
         });
     }
 
     // Generic Setting Toggles
-    ['autoDetectMaps', 'autoRescanMapper', 'ignoreStartAndBreaks', 'ignoreGuestDifficulties'].forEach(id => {
+    ['autoDetectMaps', 'autoRescanMapper', 'ignoreStartAndBreaks', 'ignoreGuestDifficulties', 'watchSongsDir', 'groupSets', 'deadlineNotifications'].forEach(id => {
         const el = document.getElementById(id);
         if (el) {
             el.addEventListener('change', (e) => {
@@ -3206,17 +6536,58 @@ const init = async () => {
                 if (id === 'ignoreStartAndBreaks') {
                     beatmapItems = beatmapItems.map(item => ({
                         ...item,
-                        progress: computeProgress(item.highlights)
+                        progress: computeProgress(item.highlights, item.sectionRanges)
                     }));
                     renderFromState();
                 } else if (id === 'ignoreGuestDifficulties') {
                     updateTabCounts();
                     renderFromState();
+                } else if (id === 'groupSets') {
+                    renderFromState();
+                }
+
+                if (id === 'watchSongsDir' || id === 'autoDetectMaps' || id === 'autoRescanMapper') {
+                    startSongsDirWatcher();
+                }
+                if (id === 'deadlineNotifications') {
+                    syncDeadlineNotifications();
                 }
             });
         }
     });
 
+    // Progress model
+    document.getElementById('progressModel')?.addEventListener('change', (e) => {
+        settings.progressModel = e.target.value === 'sections' ? 'sections' : 'coverage';
+        saveSettings();
+        updateSettingsUI();
+        beatmapItems = beatmapItems.map(item => ({
+            ...item,
+            progress: computeProgress(item.highlights, item.sectionRanges)
+        }));
+        renderFromState();
+        scheduleSave();
+    });
+
+    document.getElementById('sectionGapBeats')?.addEventListener('change', (e) => {
+        const beats = Math.round(Number(e.target.value));
+        settings.sectionGapBeats = Number.isFinite(beats) ? Math.min(64, Math.max(1, beats)) : 4;
+        e.target.value = settings.sectionGapBeats;
+        saveSettings();
+        recomputeSectionRanges();
+    });
+
+    // Reminder lead times
+    const leadDaysInput = document.getElementById('deadlineLeadDays');
+    if (leadDaysInput) {
+        leadDaysInput.addEventListener('change', (e) => {
+            settings.deadlineLeadDays = parseLeadDays(e.target.value);
+            e.target.value = settings.deadlineLeadDays.join(', ');
+            saveSettings();
+            syncDeadlineNotifications();
+        });
+    }
+
     // Volume Slider Listener
     const volumeSlider = document.getElementById('previewVolume');
     const volumeValueText = document.getElementById('volumeValue');
@@ -3237,12 +6608,10 @@ const init = async () => {
         heightSlider.addEventListener('input', (e) => {
             const height = parseInt(e.target.value);
             settings.listItemHeight = height;
-            VIRTUAL_ITEM_HEIGHT = height + 12; // Height + 12px gap
             if (heightValueText) heightValueText.textContent = `${height}px`;
 
-            // Update CSS variables immediately
-            document.documentElement.style.setProperty('--list-item-height', `${height}px`);
-            document.documentElement.style.setProperty('--title-lines', height > 160 ? 4 : 2);
+            // Update virtual list height and CSS variables immediately
+            applyListItemHeight(height);
 
             saveSettings();
             // Re-render to update the virtual list heights and container total height
@@ -3290,6 +6659,7 @@ const init = async () => {
                     renderFromState();
                 } finally {
                     setLoading(false);
+                    startSongsDirWatcher();
                 }
             }, 500);
         });
@@ -3301,6 +6671,15 @@ const init = async () => {
             searchQuery = event.target.value.trim();
             renderFromState();
         });
+        initSearchHints(searchInput);
+    }
+
+    const modeFilterSelect = document.querySelector('#modeFilter');
+    if (modeFilterSelect) {
+        modeFilterSelect.addEventListener('change', (event) => {
+            modeFilter = event.target.value;
+            renderFromState();
+        });
     }
 
     const setHeaderMenuOpen = (isOpen) => {
@@ -3324,6 +6703,41 @@ const init = async () => {
         });
     }
 
+    // Statistics
+    const statsDialog = document.querySelector('#statsDialog');
+    document.querySelector('#statsBtn')?.addEventListener('click', () => {
+        setHeaderMenuOpen(false);
+        openStatsDialog();
+    });
+    document.querySelector('#closeStatsBtn')?.addEventListener('click', () => closeDialogWithAnimation(statsDialog));
+    statsDialog?.addEventListener('click', (event) => {
+        if (event.target === statsDialog) {
+            closeDialogWithAnimation(statsDialog);
+        }
+    });
+
+    // Timeline inspector
+    initTimelineInspector();
+
+    // Timestamp context menu closes on any other click, scroll or Escape
+    document.addEventListener('mousedown', (event) => {
+        if (!event.target.closest?.('#timestampMenu')) hideTimestampMenu();
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') hideTimestampMenu();
+    });
+    window.addEventListener('scroll', hideTimestampMenu, { passive: true });
+
+    // Backup export / import
+    document.querySelector('#exportBackupBtn')?.addEventListener('click', () => {
+        setHeaderMenuOpen(false);
+        exportBackup();
+    });
+    document.querySelector('#importBackupBtn')?.addEventListener('click', async () => {
+        setHeaderMenuOpen(false);
+        if (await importBackup()) updateSettingsUI();
+    });
+
     document.addEventListener('click', (event) => {
         const target = event.target;
         const clickedSortTrigger = sortTrigger && sortTrigger.contains(target);
@@ -3358,7 +6772,7 @@ const init = async () => {
         }
 
         // Stop audio preview when clicking outside the timeline
-        if (AudioController.currentId && !target.closest('.list-timeline') && !target.closest('#settingsDialog') && !target.closest('#settingsBtn')) {
+        if (AudioController.currentId && !target.closest('.list-timeline') && !target.closest('#settingsDialog') && !target.closest('#settingsBtn') && !target.closest('#timelineInspectorDialog')) {
             AudioController.stop();
         }
     });
@@ -3415,12 +6829,14 @@ const init = async () => {
             if (!confirmed) return;
 
             // Keep todoIds and doneIds so they persist across rescans
+            recordHistory('Clear all', { includeItems: true });
             beatmapItems = [];
             updateTabCounts();
             listContainer.innerHTML = '';
             updateEmptyState(listContainer);
             renderFromState();
             saveToStorage();
+            showUndoToast('Cleared all maps');
         });
     }
 
@@ -3506,6 +6922,7 @@ const init = async () => {
             const toIndex = todoIds.indexOf(dropId);
 
             if (fromIndex !== -1 && toIndex !== -1) {
+                recordHistory('Reorder');
                 const [movedItem] = todoIds.splice(fromIndex, 1);
                 todoIds.splice(toIndex, 0, movedItem);
                 scheduleSave();
@@ -3517,9 +6934,32 @@ const init = async () => {
     // Virtual Scroll Sync
     window.addEventListener('scroll', () => syncVirtualList(), { passive: true });
 
+    // Undo / Redo: Ctrl+Z, Ctrl+Shift+Z (or Ctrl+Y). Text fields keep their own undo.
+    loadHistory();
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+    document.querySelector('#undoToastBtn')?.addEventListener('click', () => {
+        hideUndoToast();
+        undo();
+    });
+
+    window.addEventListener('beforeunload', flushPendingSave);
+
 
     // Startup sequence
     loadSettings();
+    renderSmartListTabs();
     await loadFromStorage();
 
     // Auto-detect if audio analysis is needed for any loaded items
@@ -3805,6 +7245,17 @@ const init = async () => {
         }
     }
 
+    // Keep the list in sync with the songs folder from here on
+    if (window.beatmapApi?.onSongsDirChange) {
+        window.beatmapApi.onSongsDirChange(applySongsDirChanges);
+    }
+    startSongsDirWatcher();
+
+    if (window.beatmapApi?.onDeadlineNotificationClick) {
+        window.beatmapApi.onDeadlineNotificationClick(showDeadlineReminder);
+    }
+    syncDeadlineNotifications();
+
     // Check for updates in the background
     checkForUpdates();
 };
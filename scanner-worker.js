@@ -6,6 +6,29 @@ const BUFFER_SIZE = 8192;
 const ESTIMATED_HIT_OBJECTS_PER_KB = 20;
 const PROGRESS_REPORT_INTERVAL = 25;
 
+// Snapping: 1/1, 1/2, 1/4, 1/8, 1/16 and the triplet divisors 1/3, 1/6, 1/12
+const SNAP_DIVISORS = [1, 2, 3, 4, 6, 8, 12, 16];
+const UNSNAP_TOLERANCE_MS = 1;
+const MAX_REPORTED_UNSNAPS = 200;
+
+const GAME_MODES = {
+    OSU: 0,
+    TAIKO: 1,
+    CATCH: 2,
+    MANIA: 3
+};
+
+// Star rating (osu!standard), modelled on the 2018 aim/speed strain skills
+const NORMALIZED_RADIUS = 52;
+const SINGLE_SPACING_THRESHOLD = 125;
+const STRAIN_SECTION_LENGTH = 400;
+const MIN_STRAIN_TIME = 50;
+const STAR_RATING_MULTIPLIER = 0.0675;
+const DIFFICULTY_DECAY_WEIGHT = 0.9;
+const MAX_CURVE_SEGMENT_POINTS = 64;
+// Slider lengths past this only come from broken files; followed as-is they never finish
+const MAX_SLIDER_LENGTH = 100000;
+
 const CHAR_CODES = {
     NEWLINE: 10,
     CARRIAGE_RETURN: 13,
@@ -21,6 +44,11 @@ const CHAR_CODES = {
     TWO: 50,
 };
 
+// Timing point effects bits
+const EFFECT_FLAGS = {
+    KIAI: 1
+};
+
 const SECTIONS = {
     NONE: 0,
     GENERAL: 1,
@@ -172,21 +200,39 @@ const parseOsuFile = (content) => {
     const result = {
         metadata: {
             title: '',
+            titleUnicode: '',
             artist: '',
+            artistUnicode: '',
             creator: '',
+            source: '',
+            tags: '',
             version: '',
             audio: '',
             background: '',
             beatmapSetID: '',
-            previewTime: -1
+            previewTime: -1,
+            mode: GAME_MODES.OSU
         },
         hitStarts: null,
         hitEnds: null,
         breakPeriods: [],
-        bookmarks: []
+        bookmarks: [],
+        difficulty: {
+            hpDrainRate: 5,
+            circleSize: 5,
+            overallDifficulty: 5,
+            approachRate: null,
+            sliderMultiplier: 1.0,
+            sliderTickRate: 1
+        },
+        hitObjects: [],
+        starRating: null,
+        stats: null,
+        unsnappedTimes: [],
+        redLines: [],
+        kiaiSections: []
     };
 
-    let sliderMultiplier = 1.0;
     const timingPoints = [];
 
     const estimatedHitObjects = Math.ceil(content.length / 1024 * ESTIMATED_HIT_OBJECTS_PER_KB);
@@ -269,8 +315,7 @@ const parseOsuFile = (content) => {
                     break;
 
                 case SECTIONS.DIFFICULTY:
-                    const sm = parseSliderMultiplier(content, lineStart, lineEnd);
-                    if (sm !== null) sliderMultiplier = sm;
+                    parseDifficultyLine(content, lineStart, lineEnd, result.difficulty);
                     break;
 
                 case SECTIONS.TIMING_POINTS:
@@ -279,9 +324,13 @@ const parseOsuFile = (content) => {
                     break;
 
                 case SECTIONS.HIT_OBJECTS:
-                    const object = parseHitObject(content, lineStart, lineEnd, sliderMultiplier, timingPoints);
+                    const object = parseHitObject(content, lineStart, lineEnd, result.difficulty, timingPoints);
                     if (object !== null) {
-                        if (hitCount > 0) {
+                        result.hitObjects.push(object);
+
+                        // Sliders and juice streams carry play on to the next object;
+                        // taiko drumrolls are often followed by a rest, so they don't
+                        if (hitCount > 0 && (result.metadata.mode === GAME_MODES.OSU || result.metadata.mode === GAME_MODES.CATCH)) {
                             const prevType = hitTypesArray[hitCount - 1];
                             if (prevType & 2) {
                                 hitEndsArray[hitCount - 1] = Math.max(hitEndsArray[hitCount - 1], object.start);
@@ -315,21 +364,256 @@ const parseOsuFile = (content) => {
     result.hitStarts = hitCount > 0 ? hitStartsArray.slice(0, hitCount) : new Int32Array(0);
     result.hitEnds = hitCount > 0 ? hitEndsArray.slice(0, hitCount) : new Int32Array(0);
 
+    if (result.difficulty.approachRate === null) {
+        // Old file formats have no ApproachRate; it follows OverallDifficulty
+        result.difficulty.approachRate = result.difficulty.overallDifficulty;
+    }
+
+    if (result.metadata.mode === GAME_MODES.OSU) {
+        result.starRating = computeStarRating(result.hitObjects, result.difficulty);
+    }
+    result.stats = computeDifficultyStats(result, timingPoints);
+    result.unsnappedTimes = findUnsnappedObjects(result.hitObjects, timingPoints);
+    result.redLines = timingPoints
+        .filter(point => point.uninherited && point.beatLength > 0)
+        .map(({ time, beatLength }) => ({ time, beatLength }));
+    result.kiaiSections = findKiaiSections(timingPoints);
+
     return result;
 };
 
 /**
- * Parse SliderMultiplier from line
+ * Objects as the editor shows them, as [start, end, combo]. Ends are not stretched over
+ * slider gaps, and combo numbers follow new combo flags and spinners for timestamps like
+ * 00:12:345 (1,2,3). osu!mania references columns instead, so it gets no combo numbers.
+ * 
+ * @param {Array<Object>} hitObjects - Parsed hit objects, in file order
+ * @param {number} mode - Game mode of the beatmap
+ * @returns {Array<Array<number|null>>}
+ */
+const buildEditorObjects = (hitObjects, mode) => {
+    let combo = 0;
+    return hitObjects.map((object, i) => {
+        const prevType = i > 0 ? hitObjects[i - 1].type : 0;
+        combo = (i === 0 || (object.type & 4) || (prevType & 8)) ? 1 : combo + 1;
+        return [object.start, object.end, mode === GAME_MODES.MANIA ? null : combo];
+    });
+};
+
+/**
+ * Kiai time ranges from the effects flags of red and green lines. A section
+ * still open at the last timing point runs to the end of the track (end: null).
+ * 
+ * @param {Array<Object>} timingPoints - Parsed timing points, in file order
+ * @returns {Array<{start: number, end: number|null}>} Kiai sections in ms
+ */
+const findKiaiSections = (timingPoints) => {
+    const sections = [];
+    let open = null;
+    for (const point of timingPoints) {
+        const isKiai = (point.effects & EFFECT_FLAGS.KIAI) !== 0;
+        if (isKiai && !open) {
+            open = { start: point.time, end: null };
+            sections.push(open);
+        } else if (!isKiai && open) {
+            open.end = point.time;
+            open = null;
+        }
+    }
+    return sections.filter(section => section.end === null || section.end > section.start);
+};
+
+/**
+ * Distance in ms from a time to the nearest snap tick of a red line
+ */
+const getSnapDistance = (time, redLine) => {
+    const offset = time - redLine.time;
+    let closest = Infinity;
+    for (const divisor of SNAP_DIVISORS) {
+        const step = redLine.beatLength / divisor;
+        const distance = Math.abs(offset - Math.round(offset / step) * step);
+        if (distance < closest) closest = distance;
+    }
+    return closest;
+};
+
+/**
+ * Times an object has to be snapped at: its start, slider repeats and tail,
+ * and the end of spinners and hold notes. Slider parts are computed from the
+ * slider length, so they get an extra millisecond of rounding slack.
+ */
+const getSnapCheckpoints = (object) => {
+    const checkpoints = [{ time: object.start, tolerance: UNSNAP_TOLERANCE_MS }];
+
+    if (object.slider && object.slider.duration > 0) {
+        const spanDuration = object.slider.duration / object.slider.slides;
+        for (let span = 1; span <= object.slider.slides; span++) {
+            checkpoints.push({ time: object.start + spanDuration * span, tolerance: UNSNAP_TOLERANCE_MS + 1 });
+        }
+    } else if ((object.type & (8 | 128)) && object.end > object.start) {
+        checkpoints.push({ time: object.end, tolerance: UNSNAP_TOLERANCE_MS });
+    }
+
+    return checkpoints;
+};
+
+/**
+ * Times of object parts that sit more than UNSNAP_TOLERANCE_MS away from every
+ * supported divisor of the active red line
+ * 
+ * @param {Array<Object>} hitObjects - Objects from parseHitObject
+ * @param {Array<Object>} timingPoints - Parsed timing points, in file order
+ * @returns {Array<number>} Unsnapped times in ms, capped at MAX_REPORTED_UNSNAPS
+ */
+const findUnsnappedObjects = (hitObjects, timingPoints) => {
+    const redLines = timingPoints.filter(point => point.uninherited && point.beatLength > 0);
+    if (!redLines.length) return [];
+
+    const unsnapped = [];
+    for (const object of hitObjects) {
+        for (const checkpoint of getSnapCheckpoints(object)) {
+            // Times before the first red line are timed from it, as in the editor
+            let redLine = redLines[0];
+            for (const line of redLines) {
+                if (line.time > checkpoint.time) break;
+                redLine = line;
+            }
+
+            if (getSnapDistance(checkpoint.time, redLine) > checkpoint.tolerance) {
+                unsnapped.push(Math.round(checkpoint.time));
+                if (unsnapped.length >= MAX_REPORTED_UNSNAPS) return unsnapped;
+            }
+        }
+    }
+    return unsnapped;
+};
+
+/**
+ * Combo a slider is worth: head, every repeat, tail and the ticks on each span
+ */
+const countSliderCombo = (slider) => {
+    let ticksPerSpan = 0;
+    if (slider.tickDistance > 0 && slider.length > 0) {
+        // Ticks that would land on the slider end are dropped
+        ticksPerSpan = Math.max(0, Math.ceil(slider.length / slider.tickDistance - 0.01) - 1);
+    }
+    return 1 + slider.slides + ticksPerSpan * slider.slides;
+};
+
+/**
+ * Summarize a parsed difficulty: object breakdown, max combo, drain time,
+ * BPM range and difficulty settings
+ * 
+ * @param {Object} parsed - Result of parseOsuFile
+ * @param {Array<Object>} timingPoints - Parsed timing points
+ * @returns {Object} Difficulty stats
+ */
+const computeDifficultyStats = (parsed, timingPoints) => {
+    const { hitObjects, difficulty, breakPeriods } = parsed;
+    const mode = parsed.metadata.mode;
+    const stats = {
+        mode,
+        circles: 0,
+        sliders: 0,
+        spinners: 0,
+        holds: 0,
+        maxCombo: 0,
+        drainTimeMs: 0,
+        density: 0,
+        bpmMin: null,
+        bpmMax: null,
+        hpDrainRate: difficulty.hpDrainRate,
+        circleSize: difficulty.circleSize,
+        overallDifficulty: difficulty.overallDifficulty,
+        approachRate: difficulty.approachRate
+    };
+
+    let firstStart = Infinity;
+    let lastEnd = -Infinity;
+
+    for (const object of hitObjects) {
+        if (object.type & 2) {
+            // Taiko drumrolls give no combo; sliders and juice streams count head, repeats, ticks and tail
+            stats.sliders++;
+            if (mode !== GAME_MODES.TAIKO) {
+                stats.maxCombo += object.slider ? countSliderCombo(object.slider) : 2;
+            }
+        } else if (object.type & 8) {
+            // Taiko swells and catch banana showers give no combo
+            stats.spinners++;
+            if (mode === GAME_MODES.OSU) stats.maxCombo++;
+        } else if (object.type & 128) {
+            // Mania hold notes are judged at the head and the tail
+            stats.holds++;
+            stats.maxCombo += 2;
+        } else {
+            stats.circles++;
+            stats.maxCombo++;
+        }
+        firstStart = Math.min(firstStart, object.start);
+        lastEnd = Math.max(lastEnd, object.end);
+    }
+
+    if (hitObjects.length) {
+        // Breaks don't drain HP, so they don't count towards drain time
+        const breakTime = breakPeriods.reduce((total, period) => {
+            const start = Math.max(period.start, firstStart);
+            const end = Math.min(period.end, lastEnd);
+            return total + Math.max(0, end - start);
+        }, 0);
+        stats.drainTimeMs = Math.max(0, lastEnd - firstStart - breakTime);
+
+        // Objects the player actually taps per second of drain time. Spinners, swells and
+        // banana showers are left out, and so are taiko drumrolls, which are rolls rather than hits.
+        // Mania chords count every note, the same way they are played across columns.
+        let tappable = stats.circles + stats.holds;
+        if (mode !== GAME_MODES.TAIKO) tappable += stats.sliders;
+        if (stats.drainTimeMs > 0) {
+            stats.density = Math.round(tappable / (stats.drainTimeMs / 1000) * 100) / 100;
+        }
+    }
+
+    for (const point of timingPoints) {
+        if (!point.uninherited || !(point.beatLength > 0)) continue;
+        const bpm = Math.round(60000 / point.beatLength * 100) / 100;
+        stats.bpmMin = stats.bpmMin === null ? bpm : Math.min(stats.bpmMin, bpm);
+        stats.bpmMax = stats.bpmMax === null ? bpm : Math.max(stats.bpmMax, bpm);
+    }
+
+    return stats;
+};
+
+/**
+ * Parse a line from [Difficulty] section
  */
-const parseSliderMultiplier = (content, start, end) => {
+const parseDifficultyLine = (content, start, end, difficulty) => {
     const colonIdx = content.indexOf(':', start);
-    if (colonIdx === -1 || colonIdx >= end) return null;
+    if (colonIdx === -1 || colonIdx >= end) return;
+
     const key = extractTrimmed(content, start, colonIdx).toLowerCase();
-    if (key === 'slidermultiplier') {
-        const val = extractTrimmed(content, colonIdx + 1, end);
-        return parseFloat(val) || 1.0;
+    const value = parseFloat(extractTrimmed(content, colonIdx + 1, end));
+    if (!Number.isFinite(value)) return;
+
+    switch (key) {
+        case 'hpdrainrate':
+            difficulty.hpDrainRate = value;
+            break;
+        case 'circlesize':
+            difficulty.circleSize = value;
+            break;
+        case 'overalldifficulty':
+            difficulty.overallDifficulty = value;
+            break;
+        case 'approachrate':
+            difficulty.approachRate = value;
+            break;
+        case 'slidermultiplier':
+            difficulty.sliderMultiplier = value || 1.0;
+            break;
+        case 'slidertickrate':
+            difficulty.sliderTickRate = value || 1;
+            break;
     }
-    return null;
 };
 
 /**
@@ -342,7 +626,8 @@ const parseTimingPoint = (content, start, end) => {
     return {
         time: parseInt(parts[0]),
         beatLength: parseFloat(parts[1]),
-        uninherited: parts.length > 6 ? parts[6] === '1' : true
+        uninherited: parts.length > 6 ? parts[6] === '1' : true,
+        effects: parts.length > 7 ? (parseInt(parts[7]) || 0) : 0
     };
 };
 
@@ -374,14 +659,17 @@ const getTimingInfo = (time, timingPoints) => {
  * Parse HitObject from line
  * Format: x,y,time,type,hitSound,objectParams...
  */
-const parseHitObject = (content, lineStart, lineEnd, sliderMultiplier, timingPoints) => {
+const parseHitObject = (content, lineStart, lineEnd, difficulty, timingPoints) => {
     const line = extractTrimmed(content, lineStart, lineEnd);
     const parts = line.split(',');
     if (parts.length < 4) return null;
 
+    const x = parseFloat(parts[0]) || 0;
+    const y = parseFloat(parts[1]) || 0;
     const time = parseInt(parts[2]);
     const type = parseInt(parts[3]);
     let endTime = time;
+    let slider = null;
 
     // Check if it's a slider (bit 1 / value 2)
     if (type & 2) {
@@ -392,8 +680,17 @@ const parseHitObject = (content, lineStart, lineEnd, sliderMultiplier, timingPoi
 
             // Slider duration = (length / (SliderMultiplier * 100 * SV)) * beatLength * slides
             // SV in timing points is already handled by our getTimingInfo (activeSV)
-            const duration = (length / (sliderMultiplier * 100 * timing.sv)) * timing.beatLength * slides;
+            const velocity = difficulty.sliderMultiplier * 100 * timing.sv;
+            const duration = (length / velocity) * timing.beatLength * slides;
             endTime = time + Math.max(0, Math.floor(duration));
+
+            slider = {
+                curve: parseSliderCurve(parts[5], x, y),
+                slides,
+                length,
+                duration: Math.max(0, duration),
+                tickDistance: velocity / difficulty.sliderTickRate
+            };
         }
     }
     // Check if it's a spinner (bit 3 / value 8)
@@ -411,7 +708,321 @@ const parseHitObject = (content, lineStart, lineEnd, sliderMultiplier, timingPoi
         }
     }
 
-    return { start: time, end: Math.max(time, endTime), type };
+    return { start: time, end: Math.max(time, endTime), type, x, y, slider };
+};
+
+/**
+ * Parse a slider curve definition
+ * Format: curveType|x:y|x:y... (the head position is the first control point)
+ */
+const parseSliderCurve = (value, x, y) => {
+    const segments = (value || '').split('|');
+    const points = [{ x, y }];
+
+    for (let i = 1; i < segments.length; i++) {
+        const separator = segments[i].indexOf(':');
+        if (separator === -1) continue;
+        const pointX = parseFloat(segments[i].slice(0, separator));
+        const pointY = parseFloat(segments[i].slice(separator + 1));
+        if (Number.isFinite(pointX) && Number.isFinite(pointY)) {
+            points.push({ x: pointX, y: pointY });
+        }
+    }
+
+    return { type: segments[0] || 'B', points };
+};
+
+/**
+ * Evaluate a bezier curve at t with de Casteljau's algorithm
+ */
+const getBezierPoint = (points, t) => {
+    const working = points.map(point => ({ x: point.x, y: point.y }));
+    for (let level = working.length - 1; level > 0; level--) {
+        for (let i = 0; i < level; i++) {
+            working[i].x += (working[i + 1].x - working[i].x) * t;
+            working[i].y += (working[i + 1].y - working[i].y) * t;
+        }
+    }
+    return working[0];
+};
+
+/**
+ * Approximate a bezier slider as a polyline.
+ * Repeated control points (red anchors) split the curve into separate segments.
+ */
+const buildBezierPath = (points) => {
+    const path = [points[0]];
+    let segment = [points[0]];
+
+    const flushSegment = () => {
+        if (segment.length < 2) return;
+        const steps = Math.min(MAX_CURVE_SEGMENT_POINTS, segment.length * 8);
+        for (let step = 1; step <= steps; step++) {
+            path.push(getBezierPoint(segment, step / steps));
+        }
+    };
+
+    for (let i = 1; i < points.length; i++) {
+        const point = points[i];
+        segment.push(point);
+        const next = points[i + 1];
+        if (next && next.x === point.x && next.y === point.y) {
+            flushSegment();
+            segment = [];
+        }
+    }
+    flushSegment();
+
+    return path;
+};
+
+/**
+ * Approximate a perfect-circle slider as a polyline.
+ * Returns null for collinear control points, which osu! draws as a straight bezier.
+ */
+const buildCircularArcPath = ([a, b, c]) => {
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-3) return null;
+
+    const aSq = a.x * a.x + a.y * a.y;
+    const bSq = b.x * b.x + b.y * b.y;
+    const cSq = c.x * c.x + c.y * c.y;
+    const centerX = (aSq * (b.y - c.y) + bSq * (c.y - a.y) + cSq * (a.y - b.y)) / d;
+    const centerY = (aSq * (c.x - b.x) + bSq * (a.x - c.x) + cSq * (b.x - a.x)) / d;
+    const radius = Math.hypot(a.x - centerX, a.y - centerY);
+
+    const thetaStart = Math.atan2(a.y - centerY, a.x - centerX);
+    let thetaEnd = Math.atan2(c.y - centerY, c.x - centerX);
+    while (thetaEnd < thetaStart) thetaEnd += 2 * Math.PI;
+
+    let direction = 1;
+    let thetaRange = thetaEnd - thetaStart;
+    // Draw the arc on the side of AC where B lies
+    if ((c.y - a.y) * (b.x - a.x) - (c.x - a.x) * (b.y - a.y) < 0) {
+        direction = -1;
+        thetaRange = 2 * Math.PI - thetaRange;
+    }
+
+    const steps = Math.max(2, Math.min(MAX_CURVE_SEGMENT_POINTS, Math.ceil(thetaRange * radius / 8)));
+    const path = [];
+    for (let step = 0; step <= steps; step++) {
+        const theta = thetaStart + direction * (step / steps) * thetaRange;
+        path.push({ x: centerX + Math.cos(theta) * radius, y: centerY + Math.sin(theta) * radius });
+    }
+    return path;
+};
+
+/**
+ * Build the slider path polyline and its cumulative lengths, cut or extended to the declared pixel length
+ */
+const buildSliderPath = (slider) => {
+    const { type, points } = slider.curve;
+    let path = null;
+
+    if (points.length < 2) {
+        path = [points[0], points[0]];
+    } else if (type === 'P' && points.length === 3) {
+        path = buildCircularArcPath(points);
+    } else if (type === 'L' || type === 'C') {
+        // Catmull curves are rare enough that the control polygon is a fair approximation
+        path = points;
+    }
+    if (!path) path = buildBezierPath(points);
+
+    const trimmed = [path[0]];
+    const lengths = [0];
+    let total = 0;
+
+    for (let i = 1; i < path.length; i++) {
+        const prev = path[i - 1];
+        const point = path[i];
+        const segmentLength = Math.hypot(point.x - prev.x, point.y - prev.y);
+        if (segmentLength === 0) continue;
+
+        const isLast = i === path.length - 1;
+        if (total + segmentLength >= slider.length || isLast) {
+            // Stop at the declared length, or extend the last segment up to it
+            const t = (slider.length - total) / segmentLength;
+            trimmed.push({ x: prev.x + (point.x - prev.x) * t, y: prev.y + (point.y - prev.y) * t });
+            lengths.push(slider.length);
+            total = slider.length;
+            break;
+        }
+
+        total += segmentLength;
+        trimmed.push(point);
+        lengths.push(total);
+    }
+
+    return { points: trimmed, lengths };
+};
+
+/**
+ * Position at a distance along a path built by buildSliderPath
+ */
+const getPathPosition = (path, distance) => {
+    const { points, lengths } = path;
+    if (points.length === 1) return points[0];
+
+    let index = 1;
+    while (index < lengths.length - 1 && lengths[index] < distance) index++;
+
+    const segmentStart = lengths[index - 1];
+    const segmentLength = lengths[index] - segmentStart;
+    const t = segmentLength > 0 ? Math.min(1, Math.max(0, (distance - segmentStart) / segmentLength)) : 0;
+    const from = points[index - 1];
+    const to = points[index];
+    return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+};
+
+/**
+ * Follow a slider with a lazy cursor that only moves once the ball leaves the follow circle.
+ * Returns the cursor's end position and the distance it travelled, in osu! pixels.
+ */
+const computeSliderCursor = (object, radius) => {
+    const { slider } = object;
+    const path = buildSliderPath(slider);
+    const followRadius = radius * 3;
+    const length = Number.isFinite(slider.length) ? Math.min(Math.max(slider.length, 0), MAX_SLIDER_LENGTH) : 0;
+    const tickDistance = slider.tickDistance > 0 ? slider.tickDistance : length;
+    const cursor = { x: object.x, y: object.y };
+    let travelDistance = 0;
+
+    for (let span = 0; span < slider.slides; span++) {
+        const reversed = span % 2 === 1;
+        for (let distance = tickDistance; ; distance += tickDistance) {
+            const along = Math.min(distance, length);
+            const position = getPathPosition(path, reversed ? length - along : along);
+            const dx = position.x - cursor.x;
+            const dy = position.y - cursor.y;
+            const gap = Math.hypot(dx, dy);
+
+            if (gap > followRadius) {
+                const move = gap - followRadius;
+                cursor.x += (dx / gap) * move;
+                cursor.y += (dy / gap) * move;
+                travelDistance += move;
+            }
+            if (along >= length) break;
+        }
+    }
+
+    return { endX: cursor.x, endY: cursor.y, travelDistance };
+};
+
+/**
+ * Aim and speed strain skills. `value` rates one object against the previous one.
+ */
+const STRAIN_SKILLS = [
+    {
+        name: 'aim',
+        multiplier: 26.25,
+        decayBase: 0.15,
+        value: (current) => (Math.pow(current.travelDistance, 0.99) + Math.pow(current.jumpDistance, 0.99)) / current.strainTime
+    },
+    {
+        name: 'speed',
+        multiplier: 1400,
+        decayBase: 0.3,
+        value: (current) => {
+            const distance = Math.min(SINGLE_SPACING_THRESHOLD, current.travelDistance + current.jumpDistance);
+            return (0.95 + Math.pow(distance / SINGLE_SPACING_THRESHOLD, 4)) / current.strainTime;
+        }
+    }
+];
+
+/**
+ * Weighted sum of the strain peaks per section, hardest sections first
+ */
+const computeSkillDifficulty = (skill, difficultyObjects) => {
+    const peaks = [];
+    let strain = 0;
+    let sectionPeak = 0;
+    let previousTime = difficultyObjects[0].time;
+    let sectionEnd = Math.ceil(previousTime / STRAIN_SECTION_LENGTH) * STRAIN_SECTION_LENGTH;
+
+    for (let i = 1; i < difficultyObjects.length; i++) {
+        const current = difficultyObjects[i];
+
+        while (current.time > sectionEnd) {
+            peaks.push(sectionPeak);
+            // The next section starts from the strain decayed up to its boundary
+            sectionPeak = strain * Math.pow(skill.decayBase, (sectionEnd - previousTime) / 1000);
+            sectionEnd += STRAIN_SECTION_LENGTH;
+        }
+
+        strain *= Math.pow(skill.decayBase, current.deltaTime / 1000);
+        strain += skill.value(current) * skill.multiplier;
+        sectionPeak = Math.max(sectionPeak, strain);
+        previousTime = current.time;
+    }
+    peaks.push(sectionPeak);
+
+    peaks.sort((a, b) => b - a);
+    let difficulty = 0;
+    let weight = 1;
+    for (const peak of peaks) {
+        difficulty += peak * weight;
+        weight *= DIFFICULTY_DECAY_WEIGHT;
+    }
+    return difficulty;
+};
+
+/**
+ * Approximate osu!standard star rating (no mods) from the parsed hit objects
+ * 
+ * @param {Array<Object>} hitObjects - Objects from parseHitObject, in file order
+ * @param {Object} difficulty - Parsed [Difficulty] settings
+ * @returns {number|null} Star rating rounded to 2 decimals, or null without objects
+ */
+const computeStarRating = (hitObjects, difficulty) => {
+    if (!hitObjects.length) return null;
+    if (hitObjects.length === 1) return 0;
+
+    const radius = 54.4 - 4.48 * difficulty.circleSize;
+    let scalingFactor = NORMALIZED_RADIUS / radius;
+    // Small circles are harder to aim at than their spacing alone suggests
+    if (radius < 30) {
+        scalingFactor *= 1 + Math.min(30 - radius, 5) / 50;
+    }
+
+    const objects = [...hitObjects].sort((a, b) => a.start - b.start);
+    const difficultyObjects = [];
+    let previous = null;
+
+    for (const object of objects) {
+        const isSpinner = (object.type & 8) !== 0;
+        let cursorEnd = { endX: object.x, endY: object.y, travelDistance: 0 };
+        if (object.slider && !isSpinner) {
+            cursorEnd = computeSliderCursor(object, radius);
+        }
+
+        if (previous) {
+            const deltaTime = object.start - previous.object.start;
+            const jumpDistance = isSpinner
+                ? 0
+                : Math.hypot(object.x - previous.cursorEnd.endX, object.y - previous.cursorEnd.endY) * scalingFactor;
+
+            difficultyObjects.push({
+                time: object.start,
+                deltaTime,
+                strainTime: Math.max(deltaTime, MIN_STRAIN_TIME),
+                jumpDistance,
+                travelDistance: previous.cursorEnd.travelDistance * scalingFactor
+            });
+        } else {
+            difficultyObjects.push({ time: object.start, deltaTime: 0, strainTime: MIN_STRAIN_TIME, jumpDistance: 0, travelDistance: 0 });
+        }
+
+        previous = { object, cursorEnd };
+    }
+
+    const [aim, speed] = STRAIN_SKILLS.map(skill =>
+        Math.sqrt(computeSkillDifficulty(skill, difficultyObjects)) * STAR_RATING_MULTIPLIER
+    );
+    const starRating = aim + speed + Math.abs(aim - speed) / 2;
+
+    return Number.isFinite(starRating) ? Math.round(starRating * 100) / 100 : null;
 };
 
 /**
@@ -428,12 +1039,24 @@ const parseMetadataLine = (content, start, end, metadata) => {
         case 'title':
             metadata.title = value;
             break;
+        case 'titleunicode':
+            metadata.titleUnicode = value;
+            break;
         case 'artist':
             metadata.artist = value;
             break;
+        case 'artistunicode':
+            metadata.artistUnicode = value;
+            break;
         case 'creator':
             metadata.creator = value;
             break;
+        case 'source':
+            metadata.source = value;
+            break;
+        case 'tags':
+            metadata.tags = value;
+            break;
         case 'version':
             metadata.version = value;
             break;
@@ -457,7 +1080,10 @@ const parseGeneralLine = (content, start, end, metadata) => {
 
     const key = extractTrimmed(content, start, colonIdx).toLowerCase();
 
-    if (key === 'audiofilename') {
+    if (key === 'mode') {
+        const mode = fastParseInt(content, colonIdx + 1, end);
+        if (mode !== null && mode >= GAME_MODES.OSU && mode <= GAME_MODES.MANIA) metadata.mode = mode;
+    } else if (key === 'audiofilename') {
         metadata.audio = extractTrimmed(content, colonIdx + 1, end);
     } else if (key === 'previewtime') {
         const pTime = fastParseInt(content, colonIdx + 1, end);
@@ -714,7 +1340,7 @@ const batchStatFiles = async (filePaths, concurrency = 100) => {
  * Process all files assigned to this worker
  */
 const processFiles = async () => {
-    const { filePaths, mapperName, knownFiles } = workerData;
+    const { filePaths, mapperName, knownFiles, options = {} } = workerData;
     const results = [];
     const needle = mapperName ? mapperName.toLowerCase() : null;
     const transferList = [];
@@ -847,6 +1473,12 @@ const processFiles = async () => {
                 hitEnds: parsed.hitEnds,
                 breakPeriods: parsed.breakPeriods,
                 bookmarks: parsed.bookmarks,
+                starRating: parsed.starRating,
+                stats: parsed.stats,
+                unsnappedTimes: parsed.unsnappedTimes,
+                redLines: parsed.redLines,
+                kiaiSections: parsed.kiaiSections,
+                editorObjects: options.editorObjects ? buildEditorObjects(parsed.hitObjects, parsed.metadata.mode) : undefined,
                 stat: { mtimeMs: mtime }
             });
 